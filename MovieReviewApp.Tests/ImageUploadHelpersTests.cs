@@ -0,0 +1,46 @@
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class ImageUploadHelpersTests
+{
+    [Fact]
+    public void GetFormatName_ShouldNameCommonImageTypes()
+    {
+        Assert.Equal("WebP", ImageUploadHelpers.GetFormatName("image/webp"));
+        Assert.Equal("JPEG", ImageUploadHelpers.GetFormatName("IMAGE/JPEG"));
+        Assert.Equal("Image", ImageUploadHelpers.GetFormatName(null));
+    }
+
+    [Fact]
+    public void DescribeCompression_ShouldShowSizesFormatDimensionsAndSaving()
+    {
+        string summary = ImageUploadHelpers.DescribeCompression(4_000_000, 160_000, "image/webp", 800, 1200);
+
+        Assert.StartsWith($"{AudioFileHelpers.FormatBytes(4_000_000)} → {AudioFileHelpers.FormatBytes(160_000)}", summary);
+        Assert.EndsWith("(WebP, 800×1200, 96% smaller)", summary);
+    }
+
+    [Fact]
+    public void DescribeCompression_ShouldNotClaimASavingWhenTheOriginalWasKept()
+    {
+        Assert.EndsWith("(JPEG, 640×960, no smaller)", ImageUploadHelpers.DescribeCompression(90_000, 90_000, "image/jpeg", 640, 960));
+    }
+
+    [Fact]
+    public void DescribeRejectedFiles_ShouldNameASingleFile()
+    {
+        Assert.Equal("\"notes.pdf\" isn't an image. Posters can be JPG, PNG, GIF or WebP.",
+            ImageUploadHelpers.DescribeRejectedFiles(new[] { "notes.pdf" }));
+    }
+
+    [Fact]
+    public void DescribeRejectedFiles_ShouldListAFewFilesAndCountTheRest()
+    {
+        Assert.StartsWith("\"a.pdf\" and \"b.mp3\" aren't images.",
+            ImageUploadHelpers.DescribeRejectedFiles(new[] { "a.pdf", "b.mp3" }));
+        Assert.StartsWith("\"a.pdf\", \"b.mp3\", \"c.txt\" and 2 more aren't images.",
+            ImageUploadHelpers.DescribeRejectedFiles(new[] { "a.pdf", "b.mp3", "c.txt", "d.zip", "e.doc" }));
+    }
+}
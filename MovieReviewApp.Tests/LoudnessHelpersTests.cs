@@ -0,0 +1,50 @@
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class LoudnessHelpersTests
+{
+    [Fact]
+    public void CalculateNormalizationGain_AtTarget_ShouldReturnUnityGain()
+    {
+        double gain = LoudnessHelpers.CalculateNormalizationGain(LoudnessHelpers.TargetLoudnessLufs);
+
+        Assert.Equal(1.0, gain);
+    }
+
+    [Fact]
+    public void CalculateNormalizationGain_LoudClip_ShouldAttenuate()
+    {
+        double gain = LoudnessHelpers.CalculateNormalizationGain(-12.0); // 6 dB above target
+
+        Assert.Equal(0.5012, gain);
+    }
+
+    [Fact]
+    public void CalculateNormalizationGain_QuietClip_ShouldBoost()
+    {
+        double gain = LoudnessHelpers.CalculateNormalizationGain(-24.0); // 6 dB below target
+
+        Assert.Equal(1.9953, gain);
+    }
+
+    [Fact]
+    public void CalculateNormalizationGain_VeryQuietClip_ShouldCapBoost()
+    {
+        double gain = LoudnessHelpers.CalculateNormalizationGain(-60.0);
+
+        Assert.Equal(LoudnessHelpers.MaximumGain, gain);
+    }
+
+    [Theory]
+    [InlineData(double.NaN)]
+    [InlineData(double.NegativeInfinity)]
+    [InlineData(-90.0)]
+    [InlineData(3.0)]
+    public void CalculateNormalizationGain_InvalidLoudness_ShouldReturnUnityGain(double loudness)
+    {
+        Assert.False(LoudnessHelpers.IsValidLoudness(loudness));
+        Assert.Equal(1.0, LoudnessHelpers.CalculateNormalizationGain(loudness));
+    }
+}
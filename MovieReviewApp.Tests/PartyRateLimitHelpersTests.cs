@@ -0,0 +1,64 @@
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class PartyRateLimitHelpersTests
+{
+    private static readonly DateTime Start = new DateTime(2025, 1, 1, 20, 0, 0, DateTimeKind.Utc);
+    private static readonly TimeSpan Window = TimeSpan.FromSeconds(10);
+
+    [Fact]
+    public void TryConsume_ShouldAllowUpToTheLimit()
+    {
+        Queue<DateTime> recent = new Queue<DateTime>();
+
+        for (int i = 0; i < 3; i++)
+        {
+            Assert.True(PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(i), 3, Window, out TimeSpan retryAfter));
+            Assert.Equal(TimeSpan.Zero, retryAfter);
+        }
+
+        Assert.Equal(3, recent.Count);
+    }
+
+    [Fact]
+    public void TryConsume_ShouldRejectOverTheLimitAndReportWhenToRetry()
+    {
+        Queue<DateTime> recent = new Queue<DateTime>();
+        PartyRateLimitHelpers.TryConsume(recent, Start, 2, Window, out _);
+        PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(4), 2, Window, out _);
+
+        bool allowed = PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(6), 2, Window, out TimeSpan retryAfter);
+
+        Assert.False(allowed);
+        Assert.Equal(TimeSpan.FromSeconds(4), retryAfter);
+        Assert.Equal(2, recent.Count);
+    }
+
+    [Fact]
+    public void TryConsume_ShouldAllowAgainOnceOldCommandsLeaveTheWindow()
+    {
+        Queue<DateTime> recent = new Queue<DateTime>();
+        PartyRateLimitHelpers.TryConsume(recent, Start, 2, Window, out _);
+        PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(4), 2, Window, out _);
+
+        bool allowed = PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(10), 2, Window, out _);
+
+        Assert.True(allowed);
+        Assert.Equal(new[] { Start.AddSeconds(4), Start.AddSeconds(10) }, recent);
+    }
+
+    [Fact]
+    public void HasExpired_ShouldBeTrueOnlyOnceTheNewestCommandLeavesTheWindow()
+    {
+        Queue<DateTime> recent = new Queue<DateTime>();
+        Assert.True(PartyRateLimitHelpers.HasExpired(recent, Start, Window));
+
+        PartyRateLimitHelpers.TryConsume(recent, Start, 2, Window, out _);
+        PartyRateLimitHelpers.TryConsume(recent, Start.AddSeconds(4), 2, Window, out _);
+
+        Assert.False(PartyRateLimitHelpers.HasExpired(recent, Start.AddSeconds(10), Window));
+        Assert.True(PartyRateLimitHelpers.HasExpired(recent, Start.AddSeconds(14), Window));
+    }
+}
@@ -0,0 +1,86 @@
+using MovieReviewApp.Application.Services;
+using MovieReviewApp.Models;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class PosterSearchServiceTests
+{
+    private static TmdbImageCandidate Image(string filePath, TmdbImageKind kind = TmdbImageKind.Poster, int searchRank = 0,
+        bool exact = false, string? language = "en", double votes = 5)
+    {
+        return new TmdbImageCandidate
+        {
+            Kind = kind,
+            TmdbId = 100 + searchRank,
+            MovieTitle = exact ? "Alien" : $"Alien {searchRank}",
+            SearchRank = searchRank,
+            IsExactTitleMatch = exact,
+            FilePath = filePath,
+            ImageUrl = $"https://image.tmdb.org/t/p/w780{filePath}",
+            Language = language,
+            VoteAverage = votes
+        };
+    }
+
+    [Fact]
+    public async Task SearchAsync_ShouldPutTheExactTitleMatchFirst()
+    {
+        StubTmdbService tmdb = new StubTmdbService(new List<TmdbImageCandidate>
+        {
+            Image("/remake.jpg", searchRank: 0),
+            Image("/original.jpg", searchRank: 1, exact: true)
+        });
+
+        PosterSearchResult result = await new PosterSearchService(tmdb).SearchAsync("  Alien ");
+
+        Assert.Equal(new[] { "/original.jpg", "/remake.jpg" }, result.Posters.Select(p => p.FilePath));
+        Assert.Equal("Alien", Assert.Single(tmdb.SearchedTitles));
+        Assert.Null(result.Message);
+    }
+
+    [Fact]
+    public async Task SearchAsync_ShouldPreferEnglishThenTextlessThenMostLikedArt()
+    {
+        StubTmdbService tmdb = new StubTmdbService(new List<TmdbImageCandidate>
+        {
+            Image("/french.jpg", language: "fr", votes: 9),
+            Image("/textless.jpg", language: null, votes: 9),
+            Image("/english-low.jpg", votes: 3),
+            Image("/english-high.jpg", votes: 8)
+        });
+
+        PosterSearchResult result = await new PosterSearchService(tmdb).SearchAsync("Alien");
+
+        Assert.Equal(new[] { "/english-high.jpg", "/english-low.jpg", "/textless.jpg", "/french.jpg" },
+            result.Posters.Select(p => p.FilePath));
+    }
+
+    [Fact]
+    public async Task SearchAsync_ShouldSplitPostersFromBackdropsAndCapBoth()
+    {
+        List<TmdbImageCandidate> images = Enumerable.Range(0, PosterSearchService.MaxPosters + 5)
+            .Select(i => Image($"/poster-{i}.jpg"))
+            .Concat(Enumerable.Range(0, PosterSearchService.MaxBackdrops + 5).Select(i => Image($"/backdrop-{i}.jpg", TmdbImageKind.Backdrop)))
+            .Append(Image("/poster-0.jpg"))
+            .ToList();
+
+        PosterSearchResult result = await new PosterSearchService(new StubTmdbService(images)).SearchAsync("Alien");
+
+        Assert.Equal(PosterSearchService.MaxPosters, result.Posters.Count);
+        Assert.Equal(PosterSearchService.MaxBackdrops, result.Backdrops.Count);
+        Assert.All(result.Backdrops, b => Assert.Equal(TmdbImageKind.Backdrop, b.Kind));
+        Assert.Equal(result.Posters.Count, result.Posters.Select(p => p.FilePath).Distinct().Count());
+    }
+
+    [Fact]
+    public async Task SearchAsync_ShouldExplainWhenThereIsNothingToShow()
+    {
+        StubTmdbService tmdb = new StubTmdbService(new List<TmdbImageCandidate>());
+
+        Assert.NotNull((await new PosterSearchService(tmdb).SearchAsync("Alien")).Message);
+        Assert.NotNull((await new PosterSearchService(tmdb).SearchAsync("   ")).Message);
+        Assert.NotNull((await new PosterSearchService(new StubTmdbService(new List<TmdbImageCandidate>(), isConfigured: false)).SearchAsync("Alien")).Message);
+        Assert.Single(tmdb.SearchedTitles);
+    }
+}
@@ -0,0 +1,76 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundClipSearchHelpersTests
+{
+    [Fact]
+    public void GetDisplayName_ShouldPreferTitleOverFileName()
+    {
+        Assert.Equal("Airhorn", SoundClipSearchHelpers.GetDisplayName(new SoundClipStorage { OriginalFileName = "airhorn_final2.mp3", Title = "Airhorn" }));
+        Assert.Equal("airhorn_final2.mp3", SoundClipSearchHelpers.GetDisplayName(new SoundClipStorage { OriginalFileName = "airhorn_final2.mp3", Title = "  " }));
+    }
+
+    [Fact]
+    public void NormalizeTitle_ShouldTrimAndTreatEmptyAsNoTitle()
+    {
+        Assert.Equal("Dramatic chipmunk", SoundClipSearchHelpers.NormalizeTitle("  Dramatic chipmunk "));
+        Assert.Null(SoundClipSearchHelpers.NormalizeTitle("   "));
+        Assert.Throws<ArgumentException>(() => SoundClipSearchHelpers.NormalizeTitle(new string('a', SoundClipSearchHelpers.MaxTitleLength + 1)));
+    }
+
+    [Fact]
+    public void NormalizeTags_ShouldCleanUpAndDeduplicate()
+    {
+        List<string> tags = SoundClipSearchHelpers.NormalizeTags(new[] { "#Movie Quote", "movie-quote", " Laugh ", "", "#" });
+
+        Assert.Equal(new[] { "movie-quote", "laugh" }, tags);
+    }
+
+    [Fact]
+    public void NormalizeTags_ShouldRejectTooManyTags()
+    {
+        IEnumerable<string> tags = Enumerable.Range(0, SoundClipSearchHelpers.MaxTags + 1).Select(i => $"tag{i}");
+
+        Assert.Throws<ArgumentException>(() => SoundClipSearchHelpers.NormalizeTags(tags));
+    }
+
+    [Fact]
+    public void FuzzyScore_ShouldRankSubstringsAboveScatteredLetters()
+    {
+        int substring = SoundClipSearchHelpers.FuzzyScore("horn", "airhorn");
+        int scattered = SoundClipSearchHelpers.FuzzyScore("hrn", "airhorn");
+
+        Assert.True(substring > scattered);
+        Assert.True(scattered > 0);
+        Assert.Equal(-1, SoundClipSearchHelpers.FuzzyScore("xyz", "airhorn"));
+    }
+
+    [Fact]
+    public void Search_ShouldRequireEveryTermAndMatchPersonNames()
+    {
+        SoundClipStorage alexHorn = new SoundClipStorage { PersonId = "1", OriginalFileName = "airhorn.mp3" };
+        SoundClipStorage samHorn = new SoundClipStorage { PersonId = "2", OriginalFileName = "airhorn.mp3" };
+        Dictionary<string, string> people = new Dictionary<string, string> { ["1"] = "Alex", ["2"] = "Sam" };
+
+        List<SoundSearchResult> results = SoundClipSearchHelpers.Search(new[] { alexHorn, samHorn }, "alex horn", id => people[id], 10);
+
+        Assert.Single(results);
+        Assert.Same(alexHorn, results[0].Clip);
+    }
+
+    [Fact]
+    public void Search_ShouldPutExactTagMatchesFirstAndSupportTagOnlyTerms()
+    {
+        SoundClipStorage titled = new SoundClipStorage { OriginalFileName = "a.mp3", Title = "Wow such laugh" };
+        SoundClipStorage tagged = new SoundClipStorage { OriginalFileName = "b.mp3", Tags = new List<string> { "laugh" } };
+
+        List<SoundSearchResult> results = SoundClipSearchHelpers.Search(new[] { titled, tagged }, "laugh", null, 10);
+        List<SoundSearchResult> tagOnly = SoundClipSearchHelpers.Search(new[] { titled, tagged }, "#laugh", null, 10);
+
+        Assert.Equal(new[] { tagged, titled }, results.Select(r => r.Clip));
+        Assert.Equal(new[] { tagged }, tagOnly.Select(r => r.Clip));
+    }
+}
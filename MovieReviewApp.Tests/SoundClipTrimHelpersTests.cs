@@ -0,0 +1,65 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundClipTrimHelpersTests
+{
+    [Fact]
+    public void Normalize_EndPastDuration_ShouldClampToNaturalEnd()
+    {
+        SoundClipTrim trim = new SoundClipTrim { Start = 1.0, End = 12.0 };
+
+        SoundClipTrim result = SoundClipTrimHelpers.Normalize(trim, 10.0);
+
+        Assert.Equal(1.0, result.Start);
+        Assert.Null(result.End);
+    }
+
+    [Fact]
+    public void Normalize_NegativeStart_ShouldClampToZero()
+    {
+        SoundClipTrim trim = new SoundClipTrim { Start = -2.0, End = 5.0 };
+
+        SoundClipTrim result = SoundClipTrimHelpers.Normalize(trim, 10.0);
+
+        Assert.Equal(0, result.Start);
+        Assert.Equal(5.0, result.End);
+    }
+
+    [Fact]
+    public void Normalize_FadesLongerThanRegion_ShouldClampToHalfLength()
+    {
+        SoundClipTrim trim = new SoundClipTrim { Start = 2.0, End = 4.0, FadeIn = 3.0, FadeOut = 0.5 };
+
+        SoundClipTrim result = SoundClipTrimHelpers.Normalize(trim, 10.0);
+
+        Assert.Equal(1.0, result.FadeIn);
+        Assert.Equal(0.5, result.FadeOut);
+    }
+
+    [Fact]
+    public void Normalize_RegionTooShort_ShouldThrow()
+    {
+        SoundClipTrim trim = new SoundClipTrim { Start = 3.0, End = 3.05 };
+
+        Assert.Throws<ArgumentException>(() => SoundClipTrimHelpers.Normalize(trim, 10.0));
+    }
+
+    [Fact]
+    public void Normalize_EndBeforeStart_ShouldThrow()
+    {
+        SoundClipTrim trim = new SoundClipTrim { Start = 6.0, End = 2.0 };
+
+        Assert.Throws<ArgumentException>(() => SoundClipTrimHelpers.Normalize(trim, 10.0));
+    }
+
+    [Fact]
+    public void IsUntrimmed_FullClipWithoutFades_ShouldReturnTrue()
+    {
+        SoundClipTrim result = SoundClipTrimHelpers.Normalize(new SoundClipTrim { Start = 0, End = 10.0 }, 10.0);
+
+        Assert.True(SoundClipTrimHelpers.IsUntrimmed(result));
+    }
+}
@@ -0,0 +1,89 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundPlayStatsHelpersTests
+{
+    private static readonly DateTime Now = new DateTime(2025, 3, 15, 21, 0, 0, DateTimeKind.Utc);
+
+    [Fact]
+    public void NormalizePlayedAt_ShouldUseNowWhenMissing()
+    {
+        Assert.Equal(Now, SoundPlayStatsHelpers.NormalizePlayedAt(null, Now));
+    }
+
+    [Fact]
+    public void NormalizePlayedAt_ShouldClampFutureTimesToNow()
+    {
+        Assert.Equal(Now, SoundPlayStatsHelpers.NormalizePlayedAt(Now.AddHours(2), Now));
+    }
+
+    [Fact]
+    public void NormalizePlayedAt_ShouldKeepRecentOfflinePlays()
+    {
+        DateTime playedAt = Now.AddDays(-3);
+
+        Assert.Equal(playedAt, SoundPlayStatsHelpers.NormalizePlayedAt(playedAt, Now));
+    }
+
+    [Fact]
+    public void NormalizePlayedAt_ShouldDropPlaysOlderThanTheMaximumAge()
+    {
+        Assert.Null(SoundPlayStatsHelpers.NormalizePlayedAt(Now - SoundPlayStatsHelpers.MaxReportAge - TimeSpan.FromMinutes(1), Now));
+    }
+
+    [Fact]
+    public void GetMostPlayed_ShouldRankByPlaysAndSkipUnplayedClips()
+    {
+        SoundClipStorage quiet = CreateClip("quiet", Now.AddDays(-10));
+        SoundClipStorage popular = CreateClip("popular", Now.AddDays(-9));
+        SoundClipStorage unplayed = CreateClip("unplayed", Now.AddDays(-8));
+        Dictionary<string, int> counts = new Dictionary<string, int>
+        {
+            [quiet.Id.ToString()] = 2,
+            [popular.Id.ToString()] = 7
+        };
+
+        List<SoundPlayRanking> ranking = SoundPlayStatsHelpers.GetMostPlayed(new[] { quiet, popular, unplayed }, counts, 10);
+
+        Assert.Equal(new[] { "popular", "quiet" }, ranking.Select(r => r.Clip.OriginalFileName));
+        Assert.Equal(new[] { 7, 2 }, ranking.Select(r => r.Plays));
+    }
+
+    [Fact]
+    public void GetMostPlayed_ShouldBreakTiesWithTheNewerClipAndRespectTake()
+    {
+        SoundClipStorage older = CreateClip("older", Now.AddDays(-10));
+        SoundClipStorage newer = CreateClip("newer", Now.AddDays(-1));
+        Dictionary<string, int> counts = new Dictionary<string, int>
+        {
+            [older.Id.ToString()] = 3,
+            [newer.Id.ToString()] = 3
+        };
+
+        List<SoundPlayRanking> ranking = SoundPlayStatsHelpers.GetMostPlayed(new[] { older, newer }, counts, 1);
+
+        Assert.Single(ranking);
+        Assert.Equal("newer", ranking[0].Clip.OriginalFileName);
+    }
+
+    [Fact]
+    public void GetNeverPlayed_ShouldReturnUnplayedClipsOldestFirst()
+    {
+        SoundClipStorage played = CreateClip("played", Now.AddDays(-5));
+        SoundClipStorage newer = CreateClip("newer", Now.AddDays(-1));
+        SoundClipStorage oldest = CreateClip("oldest", Now.AddDays(-20));
+        Dictionary<string, int> counts = new Dictionary<string, int> { [played.Id.ToString()] = 1 };
+
+        List<SoundClipStorage> neverPlayed = SoundPlayStatsHelpers.GetNeverPlayed(new[] { played, newer, oldest }, counts);
+
+        Assert.Equal(new[] { "oldest", "newer" }, neverPlayed.Select(c => c.OriginalFileName));
+    }
+
+    private static SoundClipStorage CreateClip(string name, DateTime createdAt)
+    {
+        return new SoundClipStorage { OriginalFileName = name, CreatedAt = createdAt };
+    }
+}
@@ -0,0 +1,86 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundSequenceHelpersTests
+{
+    [Fact]
+    public void Normalize_ShouldTrimNameAndDropEmptySteps()
+    {
+        SoundSequence sequence = new SoundSequence
+        {
+            Name = "  Intro  ",
+            Steps = new List<SoundSequenceStep>
+            {
+                new SoundSequenceStep { SoundClipId = "a" },
+                new SoundSequenceStep { SoundClipId = " " },
+                new SoundSequenceStep { SoundClipId = "b", GapAfter = 1.5 }
+            }
+        };
+
+        SoundSequenceHelpers.Normalize(sequence);
+
+        Assert.Equal("Intro", sequence.Name);
+        Assert.Equal(new[] { "a", "b" }, sequence.Steps.Select(s => s.SoundClipId));
+    }
+
+    [Theory]
+    [InlineData(-1, 0)]
+    [InlineData(2.5, 2.5)]
+    [InlineData(120, SoundSequenceHelpers.MaxGapSeconds)]
+    [InlineData(double.NaN, 0)]
+    public void Normalize_ShouldClampGaps(double gap, double expected)
+    {
+        SoundSequence sequence = new SoundSequence
+        {
+            Name = "Gaps",
+            Steps = new List<SoundSequenceStep> { new SoundSequenceStep { SoundClipId = "a", GapAfter = gap } }
+        };
+
+        SoundSequenceHelpers.Normalize(sequence);
+
+        Assert.Equal(expected, sequence.Steps[0].GapAfter);
+    }
+
+    [Fact]
+    public void Normalize_MissingName_ShouldThrow()
+    {
+        SoundSequence sequence = new SoundSequence
+        {
+            Name = " ",
+            Steps = new List<SoundSequenceStep> { new SoundSequenceStep { SoundClipId = "a" } }
+        };
+
+        Assert.Throws<ArgumentException>(() => SoundSequenceHelpers.Normalize(sequence));
+    }
+
+    [Fact]
+    public void Normalize_NoSteps_ShouldThrow()
+    {
+        SoundSequence sequence = new SoundSequence { Name = "Empty" };
+
+        Assert.Throws<ArgumentException>(() => SoundSequenceHelpers.Normalize(sequence));
+    }
+
+    [Fact]
+    public void RemoveMissingClips_ShouldKeepOnlyAvailableClips()
+    {
+        SoundSequence sequence = new SoundSequence
+        {
+            Name = "Mixed",
+            Steps = new List<SoundSequenceStep>
+            {
+                new SoundSequenceStep { SoundClipId = "a" },
+                new SoundSequenceStep { SoundClipId = "gone" },
+                new SoundSequenceStep { SoundClipId = "b" }
+            }
+        };
+
+        int removed = SoundSequenceHelpers.RemoveMissingClips(sequence, new[] { "a", "b" });
+
+        Assert.Equal(1, removed);
+        Assert.Equal(new[] { "a", "b" }, sequence.Steps.Select(s => s.SoundClipId));
+    }
+}
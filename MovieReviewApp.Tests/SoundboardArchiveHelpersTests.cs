@@ -0,0 +1,97 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundboardArchiveHelpersTests
+{
+    [Fact]
+    public void BuildEntryName_ShouldSanitizeAndKeepNamesUnique()
+    {
+        HashSet<string> used = new HashSet<string>();
+
+        Assert.Equal("clips/001-air-horn-final.mp3", SoundboardArchiveHelpers.BuildEntryName(1, "air horn (final).MP3", used));
+        Assert.Equal("clips/002-clip.wav", SoundboardArchiveHelpers.BuildEntryName(2, "???.wav", used));
+        used.Add("clips/003-boom.ogg");
+        Assert.Equal("clips/003-boom-2.ogg", SoundboardArchiveHelpers.BuildEntryName(3, "boom.ogg", used));
+    }
+
+    [Fact]
+    public void GetArchiveFileName_ShouldUseASafePersonName()
+    {
+        Assert.Equal("soundboard-Mary-Jane-2024-05-01.zip", SoundboardArchiveHelpers.GetArchiveFileName("Mary Jane!", new DateTime(2024, 5, 1)));
+        Assert.Equal("soundboard-board-2024-05-01.zip", SoundboardArchiveHelpers.GetArchiveFileName(null, new DateTime(2024, 5, 1)));
+    }
+
+    [Fact]
+    public void ParseManifest_ShouldRoundTripAndSortByOrder()
+    {
+        SoundboardArchiveManifest manifest = new SoundboardArchiveManifest
+        {
+            Version = SoundboardArchiveHelpers.CurrentVersion,
+            PersonName = "Alex",
+            Clips = new List<SoundboardArchiveClip>
+            {
+                new SoundboardArchiveClip { File = "clips/002-b.mp3", Order = 2, Title = "B", Tags = new List<string> { "laugh" }, TrimStart = 0.5 },
+                new SoundboardArchiveClip { File = "clips/001-a.mp3", Order = 1 },
+                new SoundboardArchiveClip { File = " ", Order = 3 }
+            }
+        };
+
+        SoundboardArchiveManifest parsed = SoundboardArchiveHelpers.ParseManifest(SoundboardArchiveHelpers.SerializeManifest(manifest));
+
+        Assert.Equal("Alex", parsed.PersonName);
+        Assert.Equal(new[] { "clips/001-a.mp3", "clips/002-b.mp3" }, parsed.Clips.Select(c => c.File));
+        Assert.Equal(new[] { "laugh" }, parsed.Clips[1].Tags);
+        Assert.Equal(0.5, parsed.Clips[1].TrimStart);
+    }
+
+    [Fact]
+    public void ParseManifest_ShouldRejectBadJsonAndNewerVersions()
+    {
+        Assert.Throws<InvalidDataException>(() => SoundboardArchiveHelpers.ParseManifest("{ not json"));
+        Assert.Throws<InvalidDataException>(() => SoundboardArchiveHelpers.ParseManifest($"{{\"version\": {SoundboardArchiveHelpers.CurrentVersion + 1}}}"));
+    }
+
+    [Fact]
+    public void BuildManifestFromEntries_ShouldOnlyKeepAudioFiles()
+    {
+        SoundboardArchiveManifest manifest = SoundboardArchiveHelpers.BuildManifestFromEntries(new[]
+        {
+            "sounds/", "sounds/boom.mp3", "readme.txt", "__MACOSX/._boom.mp3", "laugh.wav"
+        });
+
+        Assert.Equal(new[] { "sounds/boom.mp3", "laugh.wav" }, manifest.Clips.Select(c => c.File));
+        Assert.Equal(new[] { 1, 2 }, manifest.Clips.Select(c => c.Order));
+        Assert.Equal("boom.mp3", manifest.Clips[0].OriginalFileName);
+    }
+
+    [Fact]
+    public void GetAudioContentType_ShouldPreferDeclaredAudioType()
+    {
+        Assert.Equal("audio/ogg", SoundboardArchiveHelpers.GetAudioContentType("clip.mp3", "audio/ogg"));
+        Assert.Equal("audio/mpeg", SoundboardArchiveHelpers.GetAudioContentType("clip.MP3", "application/octet-stream"));
+        Assert.Null(SoundboardArchiveHelpers.GetAudioContentType("notes.txt", null));
+    }
+
+    [Fact]
+    public void ApplyDuplicateStatus_ShouldMarkExistingAndRepeatedClips()
+    {
+        List<SoundboardImportItem> items = new List<SoundboardImportItem>
+        {
+            new SoundboardImportItem { Hash = "a" },
+            new SoundboardImportItem { Hash = "b" },
+            new SoundboardImportItem { Hash = "a" },
+            new SoundboardImportItem { Hash = null, Status = SoundboardImportStatus.Invalid }
+        };
+
+        SoundboardArchiveHelpers.ApplyDuplicateStatus(items, new Dictionary<string, string> { ["b"] = "person-2" });
+
+        Assert.Equal(
+            new[] { SoundboardImportStatus.New, SoundboardImportStatus.AlreadyExists, SoundboardImportStatus.DuplicateInArchive, SoundboardImportStatus.Invalid },
+            items.Select(i => i.Status));
+        Assert.Equal("person-2", items[1].ExistingPersonId);
+        Assert.Equal(new[] { true, false, false, false }, items.Select(i => i.Selected));
+    }
+}
@@ -0,0 +1,58 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundboardPlaybackHelpersTests
+{
+    [Fact]
+    public void Apply_ShouldFollowAClipFromLoadingToEnded()
+    {
+        ClipPlaybackState? state = SoundboardPlaybackHelpers.Apply(null, new SoundPlaybackEvent { State = "loading" });
+        Assert.Equal(ClipPlaybackStatus.Loading, state!.Status);
+
+        state = SoundboardPlaybackHelpers.Apply(state, new SoundPlaybackEvent { State = "playing", Position = 0, Duration = 4 });
+        Assert.Equal(ClipPlaybackStatus.Playing, state!.Status);
+
+        state = SoundboardPlaybackHelpers.Apply(state, new SoundPlaybackEvent { State = "progress", Position = 1.5, Duration = null });
+        Assert.Equal(1.5, state!.Position);
+        Assert.Equal(4, state.Duration);
+
+        Assert.Null(SoundboardPlaybackHelpers.Apply(state, new SoundPlaybackEvent { State = "ended" }));
+    }
+
+    [Fact]
+    public void Apply_ShouldIgnoreProgressThatArrivesAfterTheClipEnded()
+    {
+        Assert.Null(SoundboardPlaybackHelpers.Apply(null, new SoundPlaybackEvent { State = "progress", Position = 2, Duration = 4 }));
+    }
+
+    [Fact]
+    public void Apply_ShouldKeepErrorsUntilTheNextPlay()
+    {
+        ClipPlaybackState? state = SoundboardPlaybackHelpers.Apply(null, new SoundPlaybackEvent { State = "error", Error = "" });
+        Assert.Equal(ClipPlaybackStatus.Error, state!.Status);
+        Assert.Equal("The clip could not be played", state.Error);
+
+        Assert.Same(state, SoundboardPlaybackHelpers.Apply(state, new SoundPlaybackEvent { State = "progress", Position = 1 }));
+        Assert.Equal(ClipPlaybackStatus.Loading, SoundboardPlaybackHelpers.Apply(state, new SoundPlaybackEvent { State = "loading" })!.Status);
+    }
+
+    [Fact]
+    public void GetProgress_ShouldClampAndNeedADuration()
+    {
+        Assert.Equal(0.5, SoundboardPlaybackHelpers.GetProgress(new ClipPlaybackState { Position = 2, Duration = 4 }));
+        Assert.Equal(1, SoundboardPlaybackHelpers.GetProgress(new ClipPlaybackState { Position = 5, Duration = 4 }));
+        Assert.Null(SoundboardPlaybackHelpers.GetProgress(new ClipPlaybackState { Position = 2 }));
+    }
+
+    [Theory]
+    [InlineData(3.4, "0:03")]
+    [InlineData(75, "1:15")]
+    [InlineData(3725, "1:02:05")]
+    public void FormatElapsed_ShouldUseMinutesAndSeconds(double seconds, string expected)
+    {
+        Assert.Equal(expected, SoundboardPlaybackHelpers.FormatElapsed(seconds));
+    }
+}
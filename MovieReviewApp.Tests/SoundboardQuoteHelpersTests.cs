@@ -0,0 +1,43 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+using Xunit;
+
+namespace MovieReviewApp.Tests;
+
+public class SoundboardQuoteHelpersTests
+{
+    private static readonly List<Person> People = new List<Person>
+    {
+        new Person { Name = "Alex Smith" },
+        new Person { Name = "Jordan" },
+        new Person { Name = "Sam Lee" },
+        new Person { Name = "Sam Park" },
+        new Person { Name = null }
+    };
+
+    [Fact]
+    public void MatchSpeaker_ShouldPreferExactNameThenUniqueFirstName()
+    {
+        Assert.Equal("Alex Smith", SoundboardQuoteHelpers.MatchSpeaker(" alex smith ", People)?.Name);
+        Assert.Equal("Alex Smith", SoundboardQuoteHelpers.MatchSpeaker("Alex", People)?.Name);
+        Assert.Equal("Jordan", SoundboardQuoteHelpers.MatchSpeaker("Jordan Taylor", People)?.Name);
+    }
+
+    [Fact]
+    public void MatchSpeaker_ShouldNotGuessBetweenPeopleOrForTheGroup()
+    {
+        Assert.Null(SoundboardQuoteHelpers.MatchSpeaker("Sam", People));
+        Assert.Null(SoundboardQuoteHelpers.MatchSpeaker("Multiple", People));
+        Assert.Null(SoundboardQuoteHelpers.MatchSpeaker("", People));
+    }
+
+    [Fact]
+    public void BuildClipFileName_ShouldUseSpeakerAndFirstWordsOfQuote()
+    {
+        Assert.Equal("Alex - That's a plot hole.wav", SoundboardQuoteHelpers.BuildClipFileName("Alex", "\"That's a plot hole\""));
+        Assert.Equal("Jordan - one two three four five six seven eight.wav",
+            SoundboardQuoteHelpers.BuildClipFileName("Jordan", "one two three four five six seven eight nine ten"));
+        Assert.Equal("Why - who.wav", SoundboardQuoteHelpers.BuildClipFileName(null, "Why / who?"));
+        Assert.Equal("Quote.wav", SoundboardQuoteHelpers.BuildClipFileName(" ", "  "));
+    }
+}
@@ -0,0 +1,41 @@
+using MovieReviewApp.Application.Services;
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Tests;
+
+/// <summary>
+/// Answers TMDB calls from canned data so nothing goes over the network.
+/// </summary>
+public class StubTmdbService : ITmdbService
+{
+    private readonly List<TmdbImageCandidate> _images;
+
+    public StubTmdbService(List<TmdbImageCandidate> images, bool isConfigured = true)
+    {
+        _images = images;
+        IsConfigured = isConfigured;
+    }
+
+    public bool IsConfigured { get; }
+
+    public List<string> SearchedTitles { get; } = new();
+
+    public Task<TmdbService.TmdbMovieInfo?> GetMovieInfoAsync(string movieTitle)
+    {
+        TmdbImageCandidate? match = _images.FirstOrDefault(i => i.IsExactTitleMatch);
+        TmdbService.TmdbMovieInfo? info = match == null ? null : new TmdbService.TmdbMovieInfo
+        {
+            Title = match.MovieTitle,
+            TmdbId = match.TmdbId,
+            PosterUrl = _images.FirstOrDefault(i => i.TmdbId == match.TmdbId && i.Kind == TmdbImageKind.Poster)?.ImageUrl
+        };
+
+        return Task.FromResult(info);
+    }
+
+    public Task<List<TmdbImageCandidate>> SearchMovieImagesAsync(string movieTitle, int maxMovies)
+    {
+        SearchedTitles.Add(movieTitle);
+        return Task.FromResult(_images.Where(i => i.SearchRank < maxMovies).ToList());
+    }
+}
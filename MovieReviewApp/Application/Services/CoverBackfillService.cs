@@ -69,7 +69,7 @@ public class CoverBackfillService : BackgroundService
         using IServiceScope scope = _scopeFactory.CreateScope();
         MongoDbService database = scope.ServiceProvider.GetRequiredService<MongoDbService>();
         InstanceTypeService instanceTypeService = scope.ServiceProvider.GetRequiredService<InstanceTypeService>();
-        TmdbService tmdbService = scope.ServiceProvider.GetRequiredService<TmdbService>();
+        ITmdbService tmdbService = scope.ServiceProvider.GetRequiredService<ITmdbService>();
         ImageService imageService = scope.ServiceProvider.GetRequiredService<ImageService>();
 
         // Only run for demo instances
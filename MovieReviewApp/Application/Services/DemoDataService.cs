@@ -20,7 +20,7 @@ public class DemoDataService
     private readonly AwardQuestionService _awardQuestionService;
     private readonly AwardVoteService _awardVoteService;
     private readonly Random _random;
-    private readonly TmdbService _tmdbService;
+    private readonly ITmdbService _tmdbService;
     private readonly ImageService _imageService;
     private readonly DemoProtectionService _demoProtectionService;
     private readonly SettingService _settingService;
@@ -120,7 +120,7 @@ public class DemoDataService
         AwardQuestionService awardQuestionService,
         AwardVoteService awardVoteService,
         MongoDbService database,
-        TmdbService tmdbService,
+        ITmdbService tmdbService,
         ImageService imageService,
         DemoProtectionService demoProtectionService,
         SettingService settingService)
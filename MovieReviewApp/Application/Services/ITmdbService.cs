@@ -0,0 +1,10 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Application.Services;
+
+public interface ITmdbService
+{
+    bool IsConfigured { get; }
+    Task<TmdbService.TmdbMovieInfo?> GetMovieInfoAsync(string movieTitle);
+    Task<List<TmdbImageCandidate>> SearchMovieImagesAsync(string movieTitle, int maxMovies);
+}
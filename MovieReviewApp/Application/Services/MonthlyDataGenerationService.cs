@@ -249,7 +249,7 @@ public class MonthlyDataGenerationService : BackgroundService
 
         // Get TMDB and Image services for cover fetching
         using IServiceScope scope = _scopeFactory.CreateScope();
-        TmdbService tmdbService = scope.ServiceProvider.GetRequiredService<TmdbService>();
+        ITmdbService tmdbService = scope.ServiceProvider.GetRequiredService<ITmdbService>();
         ImageService imageService = scope.ServiceProvider.GetRequiredService<ImageService>();
 
         // Select movie and fetch TMDB info
@@ -73,6 +73,17 @@ public class MovieEventService(
         return newEvent;
     }
 
+    /// <summary>
+    /// Gets the movie event a discussion session was recorded for.
+    /// Sessions are dated with their event's start date, so this looks in that month and prefers a matching title.
+    /// </summary>
+    public async Task<MovieEvent?> GetForSessionAsync(MovieSession session)
+    {
+        List<MovieEvent> events = await GetByDateRangeAsync(session.Date.StartOfMonth(), session.Date.EndOfMonth());
+        return events.FirstOrDefault(e => string.Equals(e.Movie, session.MovieTitle, StringComparison.OrdinalIgnoreCase))
+            ?? events.FirstOrDefault();
+    }
+
     /// <summary>
     /// Gets movie titles for the specified phase numbers.
     /// Used for awards event eligible movies display.
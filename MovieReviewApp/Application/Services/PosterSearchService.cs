@@ -0,0 +1,73 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Finds candidate posters and backdrops for the poster picker in ImageUpload.
+/// </summary>
+public class PosterSearchService(ITmdbService tmdbService)
+{
+    /// <summary>
+    /// How many of TMDB's search matches to fetch artwork for - enough to cover remakes and same-name films.
+    /// </summary>
+    public const int MaxMovies = 3;
+    public const int MaxPosters = 18;
+    public const int MaxBackdrops = 9;
+
+    /// <summary>
+    /// Searches by title and returns the best candidates: the exact title match first, then TMDB's order;
+    /// within a movie English art before textless before other languages, then the most liked.
+    /// </summary>
+    public async Task<PosterSearchResult> SearchAsync(string? movieTitle)
+    {
+        string title = movieTitle?.Trim() ?? string.Empty;
+        if (string.IsNullOrEmpty(title))
+        {
+            return new PosterSearchResult { Message = "Enter a movie title to search for posters." };
+        }
+
+        if (!tmdbService.IsConfigured)
+        {
+            return new PosterSearchResult { Message = "Poster search needs a TMDB API key (TMDB:ApiKey)." };
+        }
+
+        List<TmdbImageCandidate> candidates = await tmdbService.SearchMovieImagesAsync(title, MaxMovies);
+        List<TmdbImageCandidate> ordered = candidates
+            .GroupBy(c => c.FilePath)
+            .Select(g => g.First())
+            .OrderByDescending(c => c.IsExactTitleMatch)
+            .ThenBy(c => c.SearchRank)
+            .ThenBy(c => GetLanguageOrder(c.Language))
+            .ThenByDescending(c => c.VoteAverage)
+            .ToList();
+
+        PosterSearchResult result = new PosterSearchResult
+        {
+            Posters = ordered.Where(c => c.Kind == TmdbImageKind.Poster).Take(MaxPosters).ToList(),
+            Backdrops = ordered.Where(c => c.Kind == TmdbImageKind.Backdrop).Take(MaxBackdrops).ToList()
+        };
+
+        if (result.Posters.Count == 0 && result.Backdrops.Count == 0)
+        {
+            result.Message = $"No posters found on TMDB for \"{title}\".";
+        }
+
+        return result;
+    }
+
+    private static int GetLanguageOrder(string? language)
+    {
+        if (string.Equals(language, "en", StringComparison.OrdinalIgnoreCase)) return 0;
+        return string.IsNullOrEmpty(language) ? 1 : 2;
+    }
+}
+
+/// <summary>
+/// Candidates for the poster picker, or a message explaining why there are none.
+/// </summary>
+public class PosterSearchResult
+{
+    public List<TmdbImageCandidate> Posters { get; set; } = new();
+    public List<TmdbImageCandidate> Backdrops { get; set; } = new();
+    public string? Message { get; set; }
+}
@@ -1,3 +1,5 @@
+using System.Security.Cryptography;
+using System.Text;
 using MovieReviewApp.Models;
 using NAudio.Wave;
 using Microsoft.Extensions.Logging;
@@ -7,6 +9,16 @@ namespace MovieReviewApp.Application.Services.Processing;
 
 public class AudioProcessingService
 {
+    /// <summary>
+    /// Context kept before and after each quote in generated clips; the soundboard uses it to find the quote inside a clip.
+    /// </summary>
+    public const double ClipContextBeforeSeconds = 2;
+    public const double ClipContextAfterSeconds = 3;
+    /// <summary>
+    /// Context either side of a quote in the wider clips the clip player loads when seeking past a clip's edges.
+    /// </summary>
+    public const double WideContextSeconds = 15;
+
     private readonly ILogger<AudioProcessingService> _logger;
     private readonly IWebHostEnvironment _webHost;
 
@@ -70,6 +82,28 @@ public class AudioProcessingService
         }
     }
 
+    /// <summary>
+    /// Cuts a quote with <see cref="WideContextSeconds"/> of the session either side, for the clip player.
+    /// Clips are named after the quote, so later requests for the same quote reuse the file.
+    /// </summary>
+    /// <returns>The clip URL and where the clip starts in the recording, or null if it couldn't be cut</returns>
+    public async Task<(string Url, double StartSeconds)?> GenerateWideContextClipAsync(string sourceAudioPath, string sourceFileName, double startTimeSeconds, double endTimeSeconds, string sessionId)
+    {
+        double clipStart = Math.Max(0, startTimeSeconds - WideContextSeconds);
+        double clipEnd = endTimeSeconds + WideContextSeconds;
+
+        string fileKey = Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(sourceFileName)))[..12].ToLowerInvariant();
+        string clipId = $"context_{fileKey}_{(long)(startTimeSeconds * 1000)}_{(long)(endTimeSeconds * 1000)}";
+        string existingPath = Path.Combine(_webHost.WebRootPath, "clips", sessionId, $"{clipId}.wav");
+        if (File.Exists(existingPath))
+        {
+            return ($"/clips/{sessionId}/{clipId}.wav", clipStart);
+        }
+
+        string? url = await GenerateAudioClipAsync(sourceAudioPath, clipStart, clipEnd, sessionId, clipId);
+        return url == null ? null : (url, clipStart);
+    }
+
     private async Task ExtractAudioSegmentAsync(string inputPath, string outputPath, double startSeconds, double endSeconds)
     {
         await Task.Run(() =>
@@ -126,9 +160,9 @@ public class AudioProcessingService
             // Only generate clip if both start and end times are present
             if (entry.StartTimeSeconds.HasValue && entry.EndTimeSeconds.HasValue)
             {
-                // Add some padding around the timestamp (2 seconds before, 3 seconds after)
-                double startTime = Math.Max(0, entry.StartTimeSeconds.Value - 2);
-                double endTime = entry.EndTimeSeconds.Value + 3;
+                // Add some padding around the timestamp
+                double startTime = Math.Max(0, entry.StartTimeSeconds.Value - ClipContextBeforeSeconds);
+                double endTime = entry.EndTimeSeconds.Value + ClipContextAfterSeconds;
 
                 string? clipUrl = await GenerateAudioClipAsync(sourceFile.FilePath, startTime, endTime, session.Id.ToString(), clipId);
 
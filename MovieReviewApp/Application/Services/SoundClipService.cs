@@ -1,6 +1,7 @@
 using MovieReviewApp.Infrastructure.Repositories;
 using MovieReviewApp.Infrastructure.Database;
 using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
 using System.Security.Cryptography;
 using MongoDB.Driver;
 using MongoDB.Bson;
@@ -166,6 +167,168 @@ public class SoundClipService(
         );
     }
 
+    /// <summary>
+    /// Stores the integrated loudness measured by the browser and the resulting playback gain.
+    /// </summary>
+    /// <returns>The stored normalization gain, or null if the clip doesn't exist or the measurement is unusable.</returns>
+    public async Task<double?> UpdateLoudnessAsync(Guid soundClipId, double loudnessLufs, double? duration = null)
+    {
+        if (!LoudnessHelpers.IsValidLoudness(loudnessLufs))
+        {
+            _logger.LogWarning("Ignoring invalid loudness {Loudness} for sound clip {Id}", loudnessLufs, soundClipId);
+            return null;
+        }
+
+        double gain = LoudnessHelpers.CalculateNormalizationGain(loudnessLufs);
+
+        UpdateDefinition<SoundClipStorage> update = Builders<SoundClipStorage>.Update
+            .Set(s => s.Loudness, loudnessLufs)
+            .Set(s => s.NormalizationGain, gain)
+            .Set(s => s.UpdatedAt, DateTime.UtcNow);
+
+        if (duration.HasValue && duration.Value > 0)
+        {
+            update = update.Set(s => s.Duration, duration.Value);
+        }
+
+        bool updated = await _db.UpdateOneAsync<SoundClipStorage>(s => s.Id == soundClipId && s.IsActive, update);
+        return updated ? gain : null;
+    }
+
+    /// <summary>
+    /// Saves a non-destructive trim and fades for a clip. The audio itself is never re-encoded.
+    /// </summary>
+    /// <param name="soundClipId">The clip to trim.</param>
+    /// <param name="trim">The requested trim; normalized against the clip duration before saving.</param>
+    /// <param name="measuredDuration">Duration decoded by the browser, used when the clip has none stored yet.</param>
+    /// <returns>The trim that was saved, or null if the clip doesn't exist.</returns>
+    public async Task<SoundClipTrim?> UpdateTrimAsync(Guid soundClipId, SoundClipTrim trim, double? measuredDuration = null)
+    {
+        var collection = _db.GetCollection<SoundClipStorage>();
+        SoundClipStorage? soundClip = await collection.Find(s => s.Id == soundClipId && s.IsActive)
+            .Project<SoundClipStorage>(Builders<SoundClipStorage>.Projection.Exclude(s => s.AudioData))
+            .FirstOrDefaultAsync();
+        if (soundClip == null)
+            return null;
+
+        double? duration = soundClip.Duration ?? (measuredDuration > 0 ? measuredDuration : null);
+        SoundClipTrim normalized = SoundClipTrimHelpers.Normalize(trim, duration);
+        bool untrimmed = SoundClipTrimHelpers.IsUntrimmed(normalized);
+
+        UpdateDefinition<SoundClipStorage> update = Builders<SoundClipStorage>.Update
+            .Set(s => s.TrimStart, untrimmed || normalized.Start <= 0 ? (double?)null : normalized.Start)
+            .Set(s => s.TrimEnd, untrimmed ? null : normalized.End)
+            .Set(s => s.FadeIn, untrimmed || normalized.FadeIn <= 0 ? (double?)null : normalized.FadeIn)
+            .Set(s => s.FadeOut, untrimmed || normalized.FadeOut <= 0 ? (double?)null : normalized.FadeOut)
+            .Set(s => s.Duration, duration)
+            .Set(s => s.UpdatedAt, DateTime.UtcNow);
+
+        await _db.UpdateOneAsync<SoundClipStorage>(s => s.Id == soundClipId, update);
+        _logger.LogInformation("Updated trim for sound clip {Id}: {Start}-{End}s", soundClipId, normalized.Start, normalized.End);
+        return normalized;
+    }
+
+    /// <summary>
+    /// Sets a clip's display title and tags.
+    /// </summary>
+    /// <param name="soundClipId">The clip to update.</param>
+    /// <param name="title">The new title; empty to show the file name again.</param>
+    /// <param name="tags">The new tags; normalized before saving.</param>
+    /// <returns>True if the clip was updated, false if it doesn't exist.</returns>
+    /// <exception cref="ArgumentException">Thrown when the title or tags are invalid.</exception>
+    public async Task<bool> UpdateDetailsAsync(Guid soundClipId, string? title, IEnumerable<string>? tags)
+    {
+        string? normalizedTitle = SoundClipSearchHelpers.NormalizeTitle(title);
+        List<string> normalizedTags = SoundClipSearchHelpers.NormalizeTags(tags);
+
+        UpdateDefinition<SoundClipStorage> update = Builders<SoundClipStorage>.Update
+            .Set(s => s.Title, normalizedTitle)
+            .Set(s => s.Tags, normalizedTags)
+            .Set(s => s.UpdatedAt, DateTime.UtcNow);
+
+        bool updated = await _db.UpdateOneAsync<SoundClipStorage>(s => s.Id == soundClipId && s.IsActive, update);
+        if (updated)
+        {
+            _logger.LogInformation("Updated details for sound clip {Id}: {Title} [{Tags}]", soundClipId, normalizedTitle, string.Join(", ", normalizedTags));
+        }
+        return updated;
+    }
+
+    /// <summary>
+    /// Finds active clips whose hash matches any of the given hashes, without loading their audio.
+    /// </summary>
+    /// <param name="hashes">Base64 SHA-256 hashes, as stored in <see cref="SoundClipStorage.Hash"/>.</param>
+    /// <returns>The matching clips.</returns>
+    public async Task<List<SoundClipStorage>> GetByHashesAsync(IEnumerable<string> hashes)
+    {
+        List<string> hashList = hashes.Where(h => !string.IsNullOrWhiteSpace(h)).Distinct().ToList();
+        if (hashList.Count == 0)
+            return new List<SoundClipStorage>();
+
+        var collection = _db.GetCollection<SoundClipStorage>();
+        var filter = Builders<SoundClipStorage>.Filter.And(
+            Builders<SoundClipStorage>.Filter.In(s => s.Hash, hashList),
+            Builders<SoundClipStorage>.Filter.Eq(s => s.IsActive, true)
+        );
+
+        return await collection.Find(filter)
+            .Project<SoundClipStorage>(Builders<SoundClipStorage>.Projection.Exclude(s => s.AudioData))
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Loads an active clip's metadata without its audio.
+    /// </summary>
+    /// <param name="soundClipId">The clip to load.</param>
+    /// <returns>The clip, or null if it doesn't exist or was deleted.</returns>
+    public async Task<SoundClipStorage?> GetMetadataAsync(Guid soundClipId)
+    {
+        var collection = _db.GetCollection<SoundClipStorage>();
+        var filter = Builders<SoundClipStorage>.Filter.And(
+            Builders<SoundClipStorage>.Filter.Eq(s => s.Id, soundClipId),
+            Builders<SoundClipStorage>.Filter.Eq(s => s.IsActive, true)
+        );
+
+        return await collection.Find(filter)
+            .Project<SoundClipStorage>(Builders<SoundClipStorage>.Projection.Exclude(s => s.AudioData))
+            .FirstOrDefaultAsync();
+    }
+
+    /// <summary>
+    /// Loads the metadata of every active clip, for group-wide views, without loading any audio.
+    /// </summary>
+    /// <returns>All active clips, oldest first.</returns>
+    public async Task<List<SoundClipStorage>> GetAllActiveMetadataAsync()
+    {
+        var collection = _db.GetCollection<SoundClipStorage>();
+        return await collection.Find(Builders<SoundClipStorage>.Filter.Eq(s => s.IsActive, true))
+            .Project<SoundClipStorage>(Builders<SoundClipStorage>.Projection.Exclude(s => s.AudioData))
+            .SortBy(s => s.CreatedAt)
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Loads the metadata of the given active clips without their audio.
+    /// </summary>
+    /// <param name="soundClipIds">The clips to load.</param>
+    /// <returns>The clips that exist and haven't been deleted.</returns>
+    public async Task<List<SoundClipStorage>> GetMetadataByIdsAsync(IEnumerable<Guid> soundClipIds)
+    {
+        List<Guid> ids = soundClipIds.Distinct().ToList();
+        if (ids.Count == 0)
+            return new List<SoundClipStorage>();
+
+        var collection = _db.GetCollection<SoundClipStorage>();
+        var filter = Builders<SoundClipStorage>.Filter.And(
+            Builders<SoundClipStorage>.Filter.In(s => s.Id, ids),
+            Builders<SoundClipStorage>.Filter.Eq(s => s.IsActive, true)
+        );
+
+        return await collection.Find(filter)
+            .Project<SoundClipStorage>(Builders<SoundClipStorage>.Projection.Exclude(s => s.AudioData))
+            .ToListAsync();
+    }
+
     public string GetSoundClipUrl(SoundClipStorage soundClip)
     {
         return $"/api/sound/{soundClip.Id}";
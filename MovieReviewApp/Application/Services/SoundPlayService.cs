@@ -0,0 +1,122 @@
+using MongoDB.Bson;
+using MongoDB.Driver;
+using MovieReviewApp.Infrastructure.Database;
+using MovieReviewApp.Infrastructure.Repositories;
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Service for recording soundboard clip plays and counting them for the stats views.
+/// </summary>
+public class SoundPlayService(
+    IRepository<SoundPlay> repository,
+    SoundClipService soundClipService,
+    MongoDbService db,
+    ILogger<SoundPlayService> logger)
+    : BaseService<SoundPlay>(repository, logger)
+{
+    private readonly SoundClipService _soundClipService = soundClipService;
+    private readonly MongoDbService _db = db;
+
+    /// <summary>
+    /// Stores a batch of plays reported by a browser. Plays of unknown or deleted clips, plays
+    /// buffered for too long and plays already stored under the same play ID are ignored.
+    /// </summary>
+    /// <param name="reports">The plays to record</param>
+    /// <returns>The number of plays stored</returns>
+    public async Task<int> RecordPlaysAsync(IEnumerable<SoundPlayReport> reports)
+    {
+        DateTime now = DateTime.UtcNow;
+        Dictionary<Guid, (Guid SoundClipId, DateTime PlayedAt)> plays = new();
+        foreach (SoundPlayReport report in reports)
+        {
+            DateTime? playedAt = SoundPlayStatsHelpers.NormalizePlayedAt(report.PlayedAt, now);
+            if (playedAt.HasValue && Guid.TryParse(report.SoundId, out Guid soundClipId))
+            {
+                // Plays buffered before browsers sent IDs can't be matched up, so they get a fresh one
+                Guid playId = Guid.TryParse(report.PlayId, out Guid reportedId) ? reportedId : Guid.NewGuid();
+                plays.TryAdd(playId, (soundClipId, playedAt.Value));
+            }
+        }
+
+        if (plays.Count == 0)
+            return 0;
+
+        // Another tab may have reported the same plays already. Two reports racing past this check both
+        // try to insert the same IDs; the loser fails on the duplicate key and its browser retries later.
+        List<Guid> playIds = plays.Keys.ToList();
+        HashSet<Guid> stored = (await _repository.FindAsync(p => playIds.Contains(p.Id)))
+            .Select(p => p.Id)
+            .ToHashSet();
+
+        Dictionary<Guid, SoundClipStorage> clips = (await _soundClipService.GetMetadataByIdsAsync(plays.Values.Select(p => p.SoundClipId)))
+            .ToDictionary(c => c.Id);
+
+        List<SoundPlay> documents = plays
+            .Where(p => !stored.Contains(p.Key) && clips.ContainsKey(p.Value.SoundClipId))
+            .Select(p => new SoundPlay
+            {
+                Id = p.Key,
+                SoundClipId = p.Value.SoundClipId.ToString(),
+                PersonId = clips[p.Value.SoundClipId].PersonId,
+                PlayedAt = p.Value.PlayedAt
+            })
+            .ToList();
+
+        if (documents.Count > 0)
+        {
+            await _repository.InsertManyAsync(documents);
+        }
+
+        int unknown = plays.Count(p => !stored.Contains(p.Key) && !clips.ContainsKey(p.Value.SoundClipId));
+        if (unknown > 0)
+        {
+            _logger.LogInformation("Ignored {Count} plays of unknown sound clips", unknown);
+        }
+        if (stored.Count > 0)
+        {
+            _logger.LogInformation("Ignored {Count} plays that were already recorded", stored.Count);
+        }
+        return documents.Count;
+    }
+
+    /// <summary>
+    /// Counts plays per clip.
+    /// </summary>
+    /// <param name="personId">Only count this person's clips; null for everyone</param>
+    /// <param name="since">Only count plays from this time on; null for all time</param>
+    /// <returns>Play counts keyed by clip ID</returns>
+    public async Task<Dictionary<string, int>> GetPlayCountsAsync(string? personId = null, DateTime? since = null)
+    {
+        var collection = _db.GetCollection<SoundPlay>();
+
+        BsonDocument match = new BsonDocument();
+        if (!string.IsNullOrEmpty(personId))
+        {
+            match.Add("PersonId", personId);
+        }
+        if (since.HasValue)
+        {
+            match.Add("PlayedAt", new BsonDocument("$gte", since.Value));
+        }
+
+        var pipeline = new BsonDocument[]
+        {
+            new("$match", match),
+            new("$group", new BsonDocument
+            {
+                { "_id", "$SoundClipId" },
+                { "count", new BsonDocument("$sum", 1) }
+            })
+        };
+
+        var results = await collection.Aggregate<BsonDocument>(pipeline).ToListAsync();
+
+        return results.ToDictionary(
+            doc => doc["_id"].AsString,
+            doc => doc["count"].AsInt32
+        );
+    }
+}
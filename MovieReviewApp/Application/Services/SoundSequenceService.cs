@@ -0,0 +1,60 @@
+using MovieReviewApp.Infrastructure.Repositories;
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Service for the soundboard's saved sequences and playlists.
+/// </summary>
+public class SoundSequenceService(IRepository<SoundSequence> repository, ILogger<SoundSequenceService> logger)
+    : BaseService<SoundSequence>(repository, logger)
+{
+    public async Task<List<SoundSequence>> GetByPersonIdAsync(string personId)
+    {
+        List<SoundSequence> sequences = await _repository.FindAsync(s => s.PersonId == personId);
+        return sequences.OrderBy(s => s.Name, StringComparer.OrdinalIgnoreCase).ToList();
+    }
+
+    /// <summary>
+    /// Validates and creates or updates a sequence.
+    /// </summary>
+    /// <param name="sequence">The sequence to save</param>
+    /// <returns>The saved sequence</returns>
+    /// <exception cref="ArgumentException">Thrown when the sequence is invalid</exception>
+    public async Task<SoundSequence> SaveAsync(SoundSequence sequence)
+    {
+        if (string.IsNullOrEmpty(sequence.PersonId))
+            throw new ArgumentException("PersonId is required", nameof(sequence));
+
+        SoundSequenceHelpers.Normalize(sequence);
+        sequence.UpdatedAt = DateTime.UtcNow;
+
+        SoundSequence saved = await UpsertAsync(sequence);
+        _logger.LogInformation("Saved sound sequence {Name} with {Count} clips for person {PersonId}",
+            saved.Name, saved.Steps.Count, saved.PersonId);
+        return saved;
+    }
+
+    /// <summary>
+    /// Takes a deleted clip out of every sequence that used it. Sequences left empty are deleted.
+    /// </summary>
+    /// <param name="soundClipId">The deleted clip</param>
+    public async Task RemoveClipAsync(string soundClipId)
+    {
+        List<SoundSequence> sequences = await _repository.FindAsync(s => s.Steps.Any(step => step.SoundClipId == soundClipId));
+        foreach (SoundSequence sequence in sequences)
+        {
+            sequence.Steps.RemoveAll(step => step.SoundClipId == soundClipId);
+            if (sequence.Steps.Count == 0)
+            {
+                await DeleteAsync(sequence.Id);
+            }
+            else
+            {
+                sequence.UpdatedAt = DateTime.UtcNow;
+                await UpdateAsync(sequence);
+            }
+        }
+    }
+}
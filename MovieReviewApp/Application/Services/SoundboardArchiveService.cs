@@ -0,0 +1,290 @@
+using System.IO.Compression;
+using System.Security.Cryptography;
+using System.Text;
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Exports a person's soundboard as a zip of their clips plus a soundboard.json manifest, and imports
+/// such a zip back. Imports are previewed first and skip any clip whose hash is already in the app.
+/// </summary>
+public class SoundboardArchiveService(
+    SoundClipService soundClipService,
+    ILogger<SoundboardArchiveService> logger)
+{
+    private readonly SoundClipService _soundClipService = soundClipService;
+    private readonly ILogger<SoundboardArchiveService> _logger = logger;
+
+    /// <summary>
+    /// Writes a person's active clips, in board order, to a zip archive.
+    /// </summary>
+    /// <param name="personId">Whose board to export</param>
+    /// <param name="personName">Stored in the manifest so the import preview can say where the clips came from</param>
+    /// <param name="output">A writable stream; left open</param>
+    /// <returns>The number of clips exported</returns>
+    public async Task<int> WriteExportAsync(string personId, string? personName, Stream output, CancellationToken cancellationToken = default)
+    {
+        List<SoundClipStorage> clips = await _soundClipService.GetByPersonIdAsync(personId);
+        SoundboardArchiveManifest manifest = new SoundboardArchiveManifest
+        {
+            Version = SoundboardArchiveHelpers.CurrentVersion,
+            PersonName = personName,
+            ExportedAt = DateTime.UtcNow
+        };
+        HashSet<string> usedNames = new HashSet<string>();
+
+        using ZipArchive zip = new ZipArchive(output, ZipArchiveMode.Create, leaveOpen: true);
+        foreach (SoundClipStorage metadata in clips)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            // Load one clip's audio at a time so a large board never sits in memory all at once
+            SoundClipStorage? clip = await _soundClipService.GetSoundClipAsync(metadata.Id);
+            if (clip == null || !clip.IsActive || clip.AudioData.Length == 0)
+                continue;
+
+            int order = manifest.Clips.Count + 1;
+            string entryName = SoundboardArchiveHelpers.BuildEntryName(order, clip.OriginalFileName, usedNames);
+
+            // Audio is already compressed, so deflating it again only costs time
+            ZipArchiveEntry entry = zip.CreateEntry(entryName, CompressionLevel.NoCompression);
+            await using (Stream entryStream = entry.Open())
+            {
+                await entryStream.WriteAsync(clip.AudioData, cancellationToken);
+            }
+
+            manifest.Clips.Add(new SoundboardArchiveClip
+            {
+                File = entryName,
+                Order = order,
+                OriginalFileName = clip.OriginalFileName,
+                Title = clip.Title,
+                Description = clip.Description,
+                Tags = clip.Tags,
+                ContentType = clip.ContentType,
+                Hash = clip.Hash,
+                Duration = clip.Duration,
+                Loudness = clip.Loudness,
+                NormalizationGain = clip.NormalizationGain,
+                TrimStart = clip.TrimStart,
+                TrimEnd = clip.TrimEnd,
+                FadeIn = clip.FadeIn,
+                FadeOut = clip.FadeOut
+            });
+        }
+
+        ZipArchiveEntry manifestEntry = zip.CreateEntry(SoundboardArchiveHelpers.ManifestEntryName, CompressionLevel.Optimal);
+        await using (Stream manifestStream = manifestEntry.Open())
+        {
+            await manifestStream.WriteAsync(Encoding.UTF8.GetBytes(SoundboardArchiveHelpers.SerializeManifest(manifest)), cancellationToken);
+        }
+
+        _logger.LogInformation("Exported {Count} sound clips for person {PersonId}", manifest.Clips.Count, personId);
+        return manifest.Clips.Count;
+    }
+
+    /// <summary>
+    /// Reads an archive and works out what importing it would do, without saving anything.
+    /// Zips without a manifest are treated as a plain folder of audio files.
+    /// </summary>
+    /// <param name="archive">A readable, seekable stream; left open so it can be passed to <see cref="ImportAsync"/></param>
+    /// <exception cref="InvalidDataException">Thrown when the file isn't a zip or its manifest can't be read</exception>
+    public async Task<SoundboardImportPreview> PreviewImportAsync(Stream archive, CancellationToken cancellationToken = default)
+    {
+        archive.Position = 0;
+        using ZipArchive zip = new ZipArchive(archive, ZipArchiveMode.Read, leaveOpen: true);
+        SoundboardArchiveManifest manifest = await ReadManifestAsync(zip);
+
+        List<SoundboardImportItem> items = new List<SoundboardImportItem>();
+        foreach (SoundboardArchiveClip clip in manifest.Clips)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            SoundboardImportItem item = new SoundboardImportItem { Clip = clip };
+            items.Add(item);
+
+            ZipArchiveEntry? entry = zip.GetEntry(clip.File);
+            if (string.IsNullOrWhiteSpace(clip.OriginalFileName))
+            {
+                clip.OriginalFileName = Path.GetFileName(clip.File);
+            }
+
+            if (entry == null)
+            {
+                MarkInvalid(item, "Missing from the archive");
+                continue;
+            }
+
+            item.SizeBytes = entry.Length;
+            if (entry.Length == 0 || entry.Length > SoundboardArchiveHelpers.MaxClipBytes)
+            {
+                MarkInvalid(item, entry.Length == 0 ? "Empty file" : $"Larger than {SoundboardArchiveHelpers.MaxClipBytes / (1024 * 1024)} MB");
+                continue;
+            }
+
+            if (SoundboardArchiveHelpers.GetAudioContentType(clip.OriginalFileName, clip.ContentType) == null)
+            {
+                MarkInvalid(item, "Not a supported audio format");
+                continue;
+            }
+
+            // Hash what is actually in the zip; the manifest's hash could be stale or edited
+            await using Stream entryStream = entry.Open();
+            item.Hash = Convert.ToBase64String(await SHA256.HashDataAsync(entryStream, cancellationToken));
+        }
+
+        SoundboardArchiveHelpers.ApplyDuplicateStatus(items, await GetExistingOwnersAsync(items.Select(i => i.Hash)));
+
+        return new SoundboardImportPreview
+        {
+            PersonName = manifest.PersonName,
+            ExportedAt = manifest.ExportedAt != default ? manifest.ExportedAt : null,
+            Items = items
+        };
+    }
+
+    /// <summary>
+    /// Adds the selected clips from a previewed archive to a person's board, after the existing clips and in archive order.
+    /// Duplicates are checked again in case the same clip was uploaded since the preview.
+    /// </summary>
+    /// <param name="archive">The same stream that was previewed</param>
+    /// <param name="personId">Whose board to add the clips to</param>
+    /// <param name="items">Preview items; only selected <see cref="SoundboardImportStatus.New"/> items are imported</param>
+    /// <returns>The number of clips imported</returns>
+    public async Task<int> ImportAsync(Stream archive, string personId, IEnumerable<SoundboardImportItem> items, CancellationToken cancellationToken = default)
+    {
+        List<SoundboardImportItem> selected = items
+            .Where(i => i.Selected && i.Status == SoundboardImportStatus.New && i.Hash != null)
+            .ToList();
+        if (selected.Count == 0)
+            return 0;
+
+        Dictionary<string, string> existing = await GetExistingOwnersAsync(selected.Select(i => i.Hash));
+
+        archive.Position = 0;
+        using ZipArchive zip = new ZipArchive(archive, ZipArchiveMode.Read, leaveOpen: true);
+        DateTime importedAt = DateTime.UtcNow;
+        int imported = 0;
+
+        foreach (SoundboardImportItem item in selected)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            if (existing.ContainsKey(item.Hash!))
+            {
+                item.Status = SoundboardImportStatus.AlreadyExists;
+                item.ExistingPersonId = existing[item.Hash!];
+                continue;
+            }
+
+            ZipArchiveEntry? entry = zip.GetEntry(item.Clip.File);
+            if (entry == null || entry.Length > SoundboardArchiveHelpers.MaxClipBytes)
+            {
+                MarkInvalid(item, "Missing from the archive");
+                continue;
+            }
+
+            byte[] audioData;
+            using (MemoryStream buffer = new MemoryStream((int)entry.Length))
+            {
+                await using Stream entryStream = entry.Open();
+                await entryStream.CopyToAsync(buffer, cancellationToken);
+                audioData = buffer.ToArray();
+            }
+
+            string hash = Convert.ToBase64String(SHA256.HashData(audioData));
+            if (hash != item.Hash)
+            {
+                MarkInvalid(item, "Changed since the preview");
+                continue;
+            }
+
+            // Boards sort by CreatedAt, so stagger the timestamps to keep the archive's order
+            await _soundClipService.CreateAsync(BuildClip(personId, item.Clip, audioData, hash, importedAt.AddMilliseconds(imported)));
+            existing[hash] = personId;
+            imported++;
+        }
+
+        _logger.LogInformation("Imported {Count} of {Selected} selected sound clips for person {PersonId}", imported, selected.Count, personId);
+        return imported;
+    }
+
+    private static async Task<SoundboardArchiveManifest> ReadManifestAsync(ZipArchive zip)
+    {
+        ZipArchiveEntry? manifestEntry = zip.GetEntry(SoundboardArchiveHelpers.ManifestEntryName);
+        if (manifestEntry == null)
+            return SoundboardArchiveHelpers.BuildManifestFromEntries(zip.Entries.Select(e => e.FullName));
+
+        using StreamReader reader = new StreamReader(manifestEntry.Open(), Encoding.UTF8);
+        return SoundboardArchiveHelpers.ParseManifest(await reader.ReadToEndAsync());
+    }
+
+    private async Task<Dictionary<string, string>> GetExistingOwnersAsync(IEnumerable<string?> hashes)
+    {
+        List<SoundClipStorage> existing = await _soundClipService.GetByHashesAsync(hashes.OfType<string>());
+        return existing
+            .GroupBy(s => s.Hash!)
+            .ToDictionary(g => g.Key, g => g.First().PersonId);
+    }
+
+    private static void MarkInvalid(SoundboardImportItem item, string message)
+    {
+        item.Status = SoundboardImportStatus.Invalid;
+        item.Message = message;
+        item.Selected = false;
+    }
+
+    private static SoundClipStorage BuildClip(string personId, SoundboardArchiveClip source, byte[] audioData, string hash, DateTime createdAt)
+    {
+        string originalFileName = Path.GetFileName(source.OriginalFileName);
+        double? duration = source.Duration > 0 ? source.Duration : null;
+        SoundClipTrim requestedTrim = new SoundClipTrim
+        {
+            Start = source.TrimStart ?? 0,
+            End = source.TrimEnd,
+            FadeIn = source.FadeIn ?? 0,
+            FadeOut = source.FadeOut ?? 0
+        };
+
+        // A bad title, tag or trim in the manifest shouldn't cost the clip itself
+        SoundClipTrim trim = TryNormalize(() => SoundClipTrimHelpers.Normalize(requestedTrim, duration), null) ?? new SoundClipTrim();
+        bool untrimmed = SoundClipTrimHelpers.IsUntrimmed(trim);
+        bool hasLoudness = source.Loudness.HasValue && LoudnessHelpers.IsValidLoudness(source.Loudness.Value);
+
+        return new SoundClipStorage
+        {
+            PersonId = personId,
+            FileName = $"{Guid.NewGuid()}_{originalFileName}",
+            OriginalFileName = originalFileName,
+            ContentType = SoundboardArchiveHelpers.GetAudioContentType(originalFileName, source.ContentType)!,
+            AudioData = audioData,
+            FileSize = audioData.Length,
+            Hash = hash,
+            Duration = duration,
+            // Recompute the gain so an edited manifest can't blast a clip; unmeasured clips get measured on first play
+            Loudness = hasLoudness ? source.Loudness : null,
+            NormalizationGain = hasLoudness ? LoudnessHelpers.CalculateNormalizationGain(source.Loudness!.Value) : null,
+            TrimStart = untrimmed || trim.Start <= 0 ? null : trim.Start,
+            TrimEnd = untrimmed ? null : trim.End,
+            FadeIn = untrimmed || trim.FadeIn <= 0 ? null : trim.FadeIn,
+            FadeOut = untrimmed || trim.FadeOut <= 0 ? null : trim.FadeOut,
+            Title = TryNormalize(() => SoundClipSearchHelpers.NormalizeTitle(source.Title), null),
+            Tags = TryNormalize(() => SoundClipSearchHelpers.NormalizeTags(source.Tags), new List<string>())!,
+            Description = source.Description,
+            CreatedAt = createdAt
+        };
+    }
+
+    private static T? TryNormalize<T>(Func<T?> normalize, T? fallback)
+    {
+        try
+        {
+            return normalize();
+        }
+        catch (ArgumentException)
+        {
+            return fallback;
+        }
+    }
+}
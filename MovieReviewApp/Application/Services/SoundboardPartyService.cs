@@ -0,0 +1,163 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Relays soundboard party commands between circuits: one browser claims the speaker role and
+/// every other soundboard in remote mode sends play/stop commands to it. Registered as a singleton
+/// so all circuits share the same speaker, rate limits and activity feed.
+/// </summary>
+public class SoundboardPartyService(ILogger<SoundboardPartyService> logger)
+{
+    public const int MaxCommandsPerWindow = 5;
+    public static readonly TimeSpan RateLimitWindow = TimeSpan.FromSeconds(10);
+    private const int MaxActivityEntries = 15;
+
+    private readonly ILogger<SoundboardPartyService> _logger = logger;
+    private readonly object _lock = new();
+    private readonly Dictionary<string, Queue<DateTime>> _recentCommands = new();
+    private readonly List<PartyActivity> _activity = new();
+    private PartySpeaker? _speaker;
+    private Func<PartyCommand, Task>? _speakerHandler;
+
+    /// <summary>
+    /// Raised when the speaker changes or a command is delivered. Handlers run on the sender's
+    /// thread, so components must marshal with InvokeAsync.
+    /// </summary>
+    public event Action? Changed;
+
+    public PartySpeaker? Speaker
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _speaker;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Most recent commands first.
+    /// </summary>
+    public List<PartyActivity> GetRecentActivity()
+    {
+        lock (_lock)
+        {
+            return _activity.ToList();
+        }
+    }
+
+    /// <summary>
+    /// Makes a circuit the speaker, replacing any previous one.
+    /// </summary>
+    /// <param name="connectionId">Identifies the claiming component instance</param>
+    /// <param name="deviceName">Shown to remotes so they know where clips will play</param>
+    /// <param name="handler">Plays or stops clips on the speaker device</param>
+    public void ClaimSpeaker(string connectionId, string deviceName, Func<PartyCommand, Task> handler)
+    {
+        lock (_lock)
+        {
+            _speaker = new PartySpeaker { ConnectionId = connectionId, DeviceName = deviceName };
+            _speakerHandler = handler;
+            _activity.Clear();
+        }
+
+        _logger.LogInformation("Soundboard party speaker claimed by {DeviceName}", deviceName);
+        Changed?.Invoke();
+    }
+
+    /// <summary>
+    /// Gives up the speaker role; ignored unless the caller is the current speaker.
+    /// </summary>
+    public void ReleaseSpeaker(string connectionId)
+    {
+        lock (_lock)
+        {
+            if (_speaker?.ConnectionId != connectionId) return;
+            _speaker = null;
+            _speakerHandler = null;
+        }
+
+        _logger.LogInformation("Soundboard party speaker released");
+        Changed?.Invoke();
+    }
+
+    /// <summary>
+    /// Sends a play or stop command to the speaker, subject to the sender's rate limit.
+    /// </summary>
+    /// <param name="command">The command; SenderId keys the rate limit</param>
+    /// <returns>Whether the command reached the speaker, and if rate limited, when to retry</returns>
+    public async Task<PartySendResult> SendAsync(PartyCommand command)
+    {
+        Func<PartyCommand, Task>? handler;
+        string? speakerConnectionId;
+
+        lock (_lock)
+        {
+            if (_speaker == null || _speakerHandler == null)
+            {
+                return new PartySendResult { Status = PartySendStatus.NoSpeaker };
+            }
+
+            DateTime now = DateTime.UtcNow;
+            PruneIdleSenders(now);
+
+            if (!_recentCommands.TryGetValue(command.SenderId, out Queue<DateTime>? recent))
+            {
+                recent = new Queue<DateTime>();
+                _recentCommands[command.SenderId] = recent;
+            }
+
+            if (!PartyRateLimitHelpers.TryConsume(recent, now, MaxCommandsPerWindow, RateLimitWindow, out TimeSpan retryAfter))
+            {
+                return new PartySendResult { Status = PartySendStatus.RateLimited, RetryAfter = retryAfter };
+            }
+
+            _activity.Insert(0, new PartyActivity
+            {
+                SenderName = command.SenderName,
+                Action = command.Action,
+                ClipLabel = command.Clip?.Label
+            });
+            if (_activity.Count > MaxActivityEntries)
+            {
+                _activity.RemoveRange(MaxActivityEntries, _activity.Count - MaxActivityEntries);
+            }
+
+            handler = _speakerHandler;
+            speakerConnectionId = _speaker.ConnectionId;
+        }
+
+        try
+        {
+            await handler(command);
+        }
+        catch (Exception ex)
+        {
+            // The speaker's circuit has gone away without releasing the role
+            _logger.LogWarning(ex, "Soundboard party speaker could not be reached, releasing it");
+            ReleaseSpeaker(speakerConnectionId);
+            return new PartySendResult { Status = PartySendStatus.NoSpeaker };
+        }
+
+        Changed?.Invoke();
+        return new PartySendResult { Status = PartySendStatus.Delivered };
+    }
+
+    /// <summary>
+    /// Forgets senders with nothing left in the rate limit window, so every browser that ever sent a
+    /// command doesn't stay in memory for the life of the process. Caller must hold _lock.
+    /// </summary>
+    private void PruneIdleSenders(DateTime now)
+    {
+        foreach (string senderId in _recentCommands
+            .Where(entry => PartyRateLimitHelpers.HasExpired(entry.Value, now, RateLimitWindow))
+            .Select(entry => entry.Key)
+            .ToList())
+        {
+            _recentCommands.Remove(senderId);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+using MovieReviewApp.Models;
+using MovieReviewApp.Utilities;
+
+namespace MovieReviewApp.Application.Services;
+
+/// <summary>
+/// Holds the playback state of every clip in this circuit, fed by the playback events soundboard.js
+/// pushes to the Soundboard page. Play buttons subscribe to <see cref="Changed"/> so only the button
+/// whose clip changed re-renders, several times a second while it plays.
+/// </summary>
+public class SoundboardPlaybackService
+{
+    private readonly Dictionary<string, ClipPlaybackState> _states = new();
+
+    /// <summary>
+    /// Raised with the clip key (sound ID, or URL for clips without one) whenever that clip's state changes.
+    /// </summary>
+    public event Action<string>? Changed;
+
+    public ClipPlaybackState GetState(string clipKey)
+    {
+        return _states.TryGetValue(clipKey, out ClipPlaybackState? state) ? state : new ClipPlaybackState();
+    }
+
+    public void Apply(SoundPlaybackEvent playbackEvent)
+    {
+        string key = GetClipKey(playbackEvent);
+        if (string.IsNullOrEmpty(key)) return;
+
+        ClipPlaybackState? current = _states.GetValueOrDefault(key);
+        ClipPlaybackState? next = SoundboardPlaybackHelpers.Apply(current, playbackEvent);
+        if (ReferenceEquals(current, next)) return;
+
+        if (next == null)
+            _states.Remove(key);
+        else
+            _states[key] = next;
+
+        Changed?.Invoke(key);
+    }
+
+    /// <summary>
+    /// Replaces all state with the clips soundboard.js says are playing, e.g. after the page is opened again
+    /// while clips from the last visit are still going.
+    /// </summary>
+    public void Reset(IEnumerable<SoundPlaybackEvent> playing)
+    {
+        List<string> previous = _states.Keys.ToList();
+        _states.Clear();
+        foreach (string key in previous)
+        {
+            Changed?.Invoke(key);
+        }
+
+        foreach (SoundPlaybackEvent playbackEvent in playing)
+        {
+            Apply(playbackEvent);
+        }
+    }
+
+    private static string GetClipKey(SoundPlaybackEvent playbackEvent)
+    {
+        return string.IsNullOrEmpty(playbackEvent.SoundId) ? playbackEvent.Url : playbackEvent.SoundId;
+    }
+}
@@ -1,17 +1,19 @@
 using System.Net.Http.Headers;
 using Microsoft.Extensions.Configuration;
 using MovieReviewApp.Infrastructure.Configuration;
+using MovieReviewApp.Models;
 using Newtonsoft.Json.Linq;
 
 namespace MovieReviewApp.Application.Services;
 
-public class TmdbService
+public class TmdbService : ITmdbService
 {
     private readonly HttpClient _httpClient;
     private readonly SecretsManager _secretsManager;
     private readonly string? _apiKey;
     private const string BaseUrl = "https://api.themoviedb.org/3";
     private const string ImageBaseUrl = "https://image.tmdb.org/t/p/w500";
+    private const string ImageRootUrl = "https://image.tmdb.org/t/p";
 
     public TmdbService(HttpClient httpClient, SecretsManager secretsManager)
     {
@@ -20,6 +22,8 @@ public class TmdbService
         _apiKey = _secretsManager.GetSecret("TMDB:ApiKey");
     }
 
+    public bool IsConfigured => !string.IsNullOrEmpty(_apiKey);
+
     public async Task<TmdbMovieInfo?> GetMovieInfoAsync(string movieTitle)
     {
         if (string.IsNullOrEmpty(_apiKey))
@@ -146,6 +150,109 @@ public class TmdbService
         }
     }
 
+    /// <summary>
+    /// Searches TMDB for a title and collects the posters and backdrops of the top matches.
+    /// Returns an empty list when the key isn't configured, nothing matches or TMDB can't be reached.
+    /// </summary>
+    public async Task<List<TmdbImageCandidate>> SearchMovieImagesAsync(string movieTitle, int maxMovies)
+    {
+        List<TmdbImageCandidate> candidates = new List<TmdbImageCandidate>();
+        if (string.IsNullOrEmpty(_apiKey))
+        {
+            Console.WriteLine("TMDB API key not configured");
+            return candidates;
+        }
+
+        try
+        {
+            string encodedTitle = Uri.EscapeDataString(movieTitle);
+            JObject? searchResult = await GetJsonAsync($"{BaseUrl}/search/movie?api_key={_apiKey}&query={encodedTitle}&language=en-US&include_adult=false");
+            if (searchResult?["results"] is not JArray results)
+            {
+                return candidates;
+            }
+
+            int searchRank = 0;
+            foreach (JToken result in results.Take(maxMovies))
+            {
+                int rank = searchRank++;
+                JToken? idToken = result["id"];
+                if (idToken == null)
+                {
+                    continue;
+                }
+
+                int movieId = (int)idToken;
+                string title = result["title"]?.ToString() ?? movieTitle;
+                string? releaseDate = result["release_date"]?.ToString();
+                bool isExactMatch = string.Equals(title, movieTitle, StringComparison.OrdinalIgnoreCase) ||
+                                    string.Equals(result["original_title"]?.ToString(), movieTitle, StringComparison.OrdinalIgnoreCase);
+
+                // English and textless art only - other languages' posters are rarely wanted
+                JObject? images = await GetJsonAsync($"{BaseUrl}/movie/{movieId}/images?api_key={_apiKey}&include_image_language=en,null");
+                if (images == null)
+                {
+                    continue;
+                }
+
+                foreach ((string key, TmdbImageKind kind, string thumbnailSize, string imageSize) in new[]
+                {
+                    ("posters", TmdbImageKind.Poster, "w185", "w780"),
+                    ("backdrops", TmdbImageKind.Backdrop, "w300", "w1280")
+                })
+                {
+                    foreach (JToken image in images[key] ?? new JArray())
+                    {
+                        string? filePath = image["file_path"]?.ToString();
+                        if (string.IsNullOrEmpty(filePath))
+                        {
+                            continue;
+                        }
+
+                        candidates.Add(new TmdbImageCandidate
+                        {
+                            Kind = kind,
+                            TmdbId = movieId,
+                            MovieTitle = title,
+                            Year = !string.IsNullOrEmpty(releaseDate) && releaseDate.Length >= 4 ? releaseDate.Substring(0, 4) : null,
+                            SearchRank = rank,
+                            IsExactTitleMatch = isExactMatch,
+                            FilePath = filePath,
+                            ThumbnailUrl = $"{ImageRootUrl}/{thumbnailSize}{filePath}",
+                            ImageUrl = $"{ImageRootUrl}/{imageSize}{filePath}",
+                            Width = image["width"]?.ToObject<int?>() ?? 0,
+                            Height = image["height"]?.ToObject<int?>() ?? 0,
+                            Language = image["iso_639_1"]?.Type == JTokenType.String ? image["iso_639_1"]!.ToString() : null,
+                            VoteAverage = image["vote_average"]?.ToObject<double?>() ?? 0
+                        });
+                    }
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error searching TMDB images for '{movieTitle}': {ex.Message}");
+        }
+
+        return candidates;
+    }
+
+    private async Task<JObject?> GetJsonAsync(string url)
+    {
+        HttpRequestMessage request = new HttpRequestMessage(HttpMethod.Get, url);
+        request.Headers.Add("User-Agent", "MovieReviewApp/1.0");
+        request.Headers.Accept.Add(new MediaTypeWithQualityHeaderValue("application/json"));
+
+        using HttpResponseMessage response = await _httpClient.SendAsync(request);
+        if (!response.IsSuccessStatusCode)
+        {
+            Console.WriteLine($"TMDB request failed: {response.StatusCode}");
+            return null;
+        }
+
+        return JObject.Parse(await response.Content.ReadAsStringAsync());
+    }
+
     public class TmdbMovieInfo
     {
         public string Title { get; set; } = "";
@@ -1,8 +1,8 @@
 using Microsoft.AspNetCore.Components;
-using Microsoft.AspNetCore.Components.Forms;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.JSInterop;
 using MovieReviewApp.Infrastructure.FileSystem;
+using MovieReviewApp.Utilities;
 
 namespace MovieReviewApp.Components.Partials
 {
@@ -23,19 +23,36 @@ namespace MovieReviewApp.Components.Partials
         [Parameter]
         public EventCallback<string?> PosterUrlChanged { get; set; }
 
+        /// <summary>
+        /// Shown on the movie card preview while cropping, and the starting search for Find poster.
+        /// </summary>
+        [Parameter]
+        public string? MovieTitle { get; set; }
+
+        /// <summary>
+        /// Tells posters for movies with the same title apart when several images are shared out, e.g. "October 2026".
+        /// </summary>
+        [Parameter]
+        public string? EventLabel { get; set; }
+
         [Inject]
         private ImageService ImageService { get; set; } = default!;
 
         [Inject]
         private IJSRuntime JSRuntime { get; set; } = default!;
 
-        private InputFile? fileInput;
-        private bool isDragOver = false;
+        private ElementReference fileInput;
+        private ElementReference dropZone;
         private bool IsUploading = false;
         private string? ErrorMessage;
+        private string? SizeSummary;
+        private PosterCropEditor.CropSource? cropSource;
+        private string? pastedImageUrl;
+        private bool pastedImagePreviewFailed;
+        private bool showPosterFinder;
+        private PosterDropGallery.GalleryInfo? gallery;
         private string urlInput = string.Empty;
         private string? PreviewImageUrl;
-        private string componentId = Guid.NewGuid().ToString();
         private DotNetObjectReference<ImageUpload>? dotNetRef;
 
         /// <summary>
@@ -53,7 +70,7 @@ namespace MovieReviewApp.Components.Partials
             {
                 try
                 {
-                    await JSRuntime.InvokeVoidAsync("initializePasteHandler", dotNetRef, componentId);
+                    await JSRuntime.InvokeVoidAsync("initializeImageDropZone", dropZone, fileInput, dotNetRef);
                 }
                 catch (JSException)
                 {
@@ -82,59 +99,13 @@ namespace MovieReviewApp.Components.Partials
             return Task.CompletedTask;
         }
 
-        private async Task HandleFileSelected(InputFileChangeEventArgs e)
-        {
-            await ProcessFile(e.File);
-        }
-
-        private async Task ProcessFile(IBrowserFile file)
-        {
-            if (file == null) return;
-
-            IsUploading = true;
-            ErrorMessage = null;
-            StateHasChanged();
-
-            try
-            {
-                const long maxFileSize = 20 * 1024 * 1024; // 20MB
-                using Stream stream = file.OpenReadStream(maxFileSize);
-                using MemoryStream memoryStream = new MemoryStream();
-                await stream.CopyToAsync(memoryStream);
-
-                Guid? imageId = await ImageService.SaveImageAsync(memoryStream.ToArray(), file.Name);
-                if (imageId.HasValue)
-                {
-                    ImageId = imageId;
-                    await ImageIdChanged.InvokeAsync(ImageId);
-                    
-                    PosterUrl = null;
-                    await PosterUrlChanged.InvokeAsync(PosterUrl);
-                    
-                    UpdatePreviewImage();
-                }
-                else
-                {
-                    ErrorMessage = "Failed to save image. Please try again.";
-                }
-            }
-            catch (Exception ex)
-            {
-                ErrorMessage = $"Error uploading image: {ex.Message}";
-            }
-            finally
-            {
-                IsUploading = false;
-                StateHasChanged();
-            }
-        }
-
         private async Task LoadFromUrl()
         {
             if (string.IsNullOrWhiteSpace(urlInput)) return;
 
             IsUploading = true;
             ErrorMessage = null;
+            SizeSummary = null;
             StateHasChanged();
 
             try
@@ -169,6 +140,7 @@ namespace MovieReviewApp.Components.Partials
 
         private async Task RemoveImage()
         {
+            SizeSummary = null;
             ImageId = null;
             await ImageIdChanged.InvokeAsync(ImageId);
             PosterUrl = null;
@@ -180,23 +152,7 @@ namespace MovieReviewApp.Components.Partials
         private async Task OpenFileDialog()
         {
             if (IsUploading) return;
-            await JSRuntime.InvokeVoidAsync("triggerFileInput", fileInput?.Element);
-        }
-
-        private void HandleDragOver()
-        {
-            isDragOver = true;
-        }
-
-        private void HandleDragLeave()
-        {
-            isDragOver = false;
-        }
-
-        private async Task HandleDrop()
-        {
-            isDragOver = false;
-            // File drop is handled by JavaScript
+            await JSRuntime.InvokeVoidAsync("triggerFileInput", fileInput);
         }
 
         private async Task HandleUrlKeyPress(KeyboardEventArgs e)
@@ -216,80 +172,83 @@ namespace MovieReviewApp.Components.Partials
         }
 
         /// <summary>
-        /// Handles pasted images from the clipboard.
+        /// Called by imageUpload.js when a picked, pasted or dropped image is ready to crop.
+        /// A newer image replaces one that is still being cropped.
         /// </summary>
-        /// <param name="base64Data">The base64 encoded image data.</param>
-        /// <param name="fileName">The name of the file.</param>
         [JSInvokable]
-        public async Task HandlePastedImage(string base64Data, string fileName)
+        public async Task OnPosterCropReady(PosterCropEditor.CropSource source)
         {
-            try
-            {
-                int estimatedSize = (base64Data.Length * 3) / 4;
-                if (estimatedSize > 20 * 1024 * 1024) // 20MB limit
-                {
-                    ErrorMessage = "Pasted image is too large (max 20MB). Please use a smaller image.";
-                    StateHasChanged();
-                    return;
-                }
-                
-                byte[] imageData = Convert.FromBase64String(base64Data);
-                await ProcessImageData(imageData, fileName);
-            }
-            catch (Exception ex)
+            await InvokeAsync(() =>
             {
-                ErrorMessage = $"Error processing pasted image: {ex.Message}";
+                SizeSummary = null;
+                pastedImageUrl = null;
+                cropSource = source;
                 StateHasChanged();
-            }
+            });
+        }
+
+        private async Task OnCropUploaded(PosterCropEditor.UploadedImage image)
+        {
+            cropSource = null;
+            ErrorMessage = null;
+
+            ImageId = image.ImageId;
+            await ImageIdChanged.InvokeAsync(ImageId);
+
+            PosterUrl = null;
+            await PosterUrlChanged.InvokeAsync(PosterUrl);
+
+            SizeSummary = ImageUploadHelpers.DescribeCompression(
+                image.OriginalSize, image.UploadedSize, image.ContentType, image.Width, image.Height);
+            UpdatePreviewImage();
+        }
+
+        private void CloseCropper()
+        {
+            cropSource = null;
         }
 
         /// <summary>
-        /// Handles dropped image files.
+        /// Called by imageUpload.js when an image link is pasted, either as a bare URL or inside HTML copied
+        /// from a web page. Nothing is saved until the thumbnail has been confirmed.
         /// </summary>
-        /// <param name="base64Data">The base64 encoded image data.</param>
-        /// <param name="fileName">The name of the file.</param>
         [JSInvokable]
-        public async Task HandleDroppedFiles(string base64Data, string fileName)
+        public async Task OnImageUrlPasted(string url)
         {
-            try
+            await InvokeAsync(() =>
             {
-                byte[] imageData = Convert.FromBase64String(base64Data);
-                await ProcessImageData(imageData, fileName);
-            }
-            catch (Exception ex)
-            {
-                ErrorMessage = $"Error processing dropped image: {ex.Message}";
+                ErrorMessage = null;
+                cropSource = null;
+                pastedImageUrl = url;
+                pastedImagePreviewFailed = false;
                 StateHasChanged();
-            }
+            });
         }
 
-        private async Task ProcessImageData(byte[] imageData, string fileName)
+        private async Task SavePastedImageUrl()
         {
+            if (string.IsNullOrEmpty(pastedImageUrl)) return;
+
             IsUploading = true;
             ErrorMessage = null;
-            StateHasChanged();
+            SizeSummary = null;
 
             try
             {
-                Guid? imageId = await ImageService.SaveImageAsync(imageData, fileName);
-                if (imageId.HasValue)
-                {
-                    ImageId = imageId;
-                    await ImageIdChanged.InvokeAsync(ImageId);
-                    
-                    PosterUrl = null;
-                    await PosterUrlChanged.InvokeAsync(PosterUrl);
-                    
-                    UpdatePreviewImage();
-                }
-                else
-                {
-                    ErrorMessage = "Failed to save image. Please try again.";
-                }
+                Guid imageId = await JSRuntime.InvokeAsync<Guid>("uploadPosterFromUrl", pastedImageUrl);
+                pastedImageUrl = null;
+
+                ImageId = imageId;
+                await ImageIdChanged.InvokeAsync(ImageId);
+
+                PosterUrl = null;
+                await PosterUrlChanged.InvokeAsync(PosterUrl);
+
+                UpdatePreviewImage();
             }
-            catch (Exception ex)
+            catch (JSException ex)
             {
-                ErrorMessage = $"Error saving image: {ex.Message}";
+                ErrorMessage = $"Error loading image from URL: {ex.Message.Split('\n', 2)[0].Trim()}";
             }
             finally
             {
@@ -298,11 +257,95 @@ namespace MovieReviewApp.Components.Partials
             }
         }
 
+        private void CancelPastedImageUrl()
+        {
+            pastedImageUrl = null;
+        }
+
+        private void OnPastedImagePreviewError()
+        {
+            pastedImagePreviewFailed = true;
+        }
+
+        private void TogglePosterFinder()
+        {
+            showPosterFinder = !showPosterFinder;
+        }
+
+        private async Task OnPosterFound(Guid imageId)
+        {
+            showPosterFinder = false;
+            ErrorMessage = null;
+            SizeSummary = null;
+
+            ImageId = imageId;
+            await ImageIdChanged.InvokeAsync(ImageId);
+
+            PosterUrl = null;
+            await PosterUrlChanged.InvokeAsync(PosterUrl);
+
+            UpdatePreviewImage();
+        }
+
+        /// <summary>
+        /// Called by imageUpload.js when several images are dropped or picked at once.
+        /// A newer gallery replaces one that is still open.
+        /// </summary>
+        [JSInvokable]
+        public async Task OnPosterGalleryReady(PosterDropGallery.GalleryInfo info)
+        {
+            await InvokeAsync(() =>
+            {
+                gallery = info;
+                StateHasChanged();
+            });
+        }
+
+        private void CloseGallery()
+        {
+            gallery = null;
+        }
+
+        /// <summary>
+        /// Called by imageUpload.js when dropped or pasted files aren't images.
+        /// </summary>
+        [JSInvokable]
+        public async Task OnFilesRejected(List<string> fileNames)
+        {
+            await InvokeAsync(() =>
+            {
+                ErrorMessage = ImageUploadHelpers.DescribeRejectedFiles(fileNames);
+                StateHasChanged();
+            });
+        }
+
+        /// <summary>
+        /// Called by imageUpload.js when a picked, pasted or dropped image could not be opened.
+        /// </summary>
+        [JSInvokable]
+        public async Task OnImageUploadFailed(string message)
+        {
+            await InvokeAsync(() =>
+            {
+                ErrorMessage = $"Error opening image: {message}";
+                StateHasChanged();
+            });
+        }
+
         /// <summary>
         /// Disposes of resources used by the component.
         /// </summary>
         public async ValueTask DisposeAsync()
         {
+            try
+            {
+                await JSRuntime.InvokeVoidAsync("disposeImageDropZone", dropZone, fileInput);
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit is gone, nothing to clean up in the browser
+            }
+
             dotNetRef?.Dispose();
         }
     }
@@ -50,7 +50,7 @@ namespace MovieReviewApp.Components.Partials
         private PersonAssignmentCacheService PersonAssignmentCache { get; set; } = default!;
 
         [Inject]
-        private TmdbService TmdbService { get; set; } = default!;
+        private ITmdbService TmdbService { get; set; } = default!;
 
         [Inject]
         private MessengerNotificationService MessengerNotification { get; set; } = default!;
@@ -0,0 +1,64 @@
+using Microsoft.AspNetCore.Mvc;
+using MovieReviewApp.Application.Services;
+using MovieReviewApp.Application.Services.Processing;
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    public class ClipController : ControllerBase
+    {
+        private readonly MovieSessionService _movieSessionService;
+        private readonly AudioProcessingService _audioProcessingService;
+        private readonly ILogger<ClipController> _logger;
+
+        /// <summary>
+        /// Initializes a new instance of the ClipController class.
+        /// </summary>
+        /// <param name="movieSessionService">The movie session service, used to find the session recording.</param>
+        /// <param name="audioProcessingService">The audio processing service that cuts the clips.</param>
+        /// <param name="logger">The logger for the controller.</param>
+        public ClipController(MovieSessionService movieSessionService, AudioProcessingService audioProcessingService, ILogger<ClipController> logger)
+        {
+            _movieSessionService = movieSessionService;
+            _audioProcessingService = audioProcessingService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Cuts a quote from its session recording with more surrounding context than its stored clip has,
+        /// for the clip player's seek buttons.
+        /// </summary>
+        /// <param name="sessionId">The session the quote came from.</param>
+        /// <param name="sourceFile">The recording the quote came from, as stored on the quote.</param>
+        /// <param name="start">Where the quote starts in the recording, in seconds.</param>
+        /// <param name="end">Where the quote ends in the recording, in seconds.</param>
+        /// <returns>The clip URL and where the clip starts in the recording.</returns>
+        [HttpGet("context")]
+        public async Task<IActionResult> GetWideContextClip([FromQuery] Guid sessionId, [FromQuery] string sourceFile, [FromQuery] double start, [FromQuery] double end)
+        {
+            if (string.IsNullOrEmpty(sourceFile) || start < 0 || end <= start)
+            {
+                return BadRequest("A source file and a quote start before its end are required");
+            }
+
+            MovieSession? session = await _movieSessionService.GetByIdAsync(sessionId);
+            AudioFile? audioFile = session?.AudioFiles.FirstOrDefault(f => f.FileName == sourceFile);
+            if (session == null || audioFile == null || !System.IO.File.Exists(audioFile.FilePath))
+            {
+                return NotFound("The session recording is no longer available");
+            }
+
+            (string Url, double StartSeconds)? clip = await _audioProcessingService.GenerateWideContextClipAsync(
+                audioFile.FilePath, sourceFile, start, end, session.Id.ToString());
+            if (clip == null)
+            {
+                _logger.LogWarning("Could not cut a context clip from {SourceFile} ({Start}-{End})", sourceFile, start, end);
+                return StatusCode(500, "Failed to cut the context clip");
+            }
+
+            return Ok(new { url = clip.Value.Url, startSeconds = clip.Value.StartSeconds });
+        }
+    }
+}
@@ -41,16 +41,17 @@ namespace MovieReviewApp.Controllers
         /// Uploads an image file.
         /// </summary>
         /// <param name="file">The image file to upload.</param>
+        /// <param name="clientOptimized">True when the browser has already resized and re-encoded the image.</param>
         /// <returns>The ID of the uploaded image.</returns>
         [HttpPost("upload")]
-        public async Task<IActionResult> UploadImage([FromForm] IFormFile file)
+        public async Task<IActionResult> UploadImage([FromForm] IFormFile file, [FromForm] bool clientOptimized = false)
         {
             if (!FileValidationHelpers.IsImageFile(file))
             {
                 return BadRequest("Invalid image file");
             }
 
-            Guid? imageId = await SaveImageFromFile(file);
+            Guid? imageId = await SaveImageFromFile(file, clientOptimized);
             if (!imageId.HasValue)
             {
                 return BadRequest("Failed to save image");
@@ -82,7 +83,7 @@ namespace MovieReviewApp.Controllers
         }
 
 
-        private async Task<Guid?> SaveImageFromFile(IFormFile file)
+        private async Task<Guid?> SaveImageFromFile(IFormFile file, bool clientOptimized)
         {
             try
             {
@@ -90,7 +91,7 @@ namespace MovieReviewApp.Controllers
                 await file.CopyToAsync(memoryStream);
                 byte[] imageData = memoryStream.ToArray();
 
-                return await _imageService.SaveImageAsync(imageData, file.FileName);
+                return await _imageService.SaveImageAsync(imageData, file.FileName, clientOptimized: clientOptimized);
             }
             catch (Exception)
             {
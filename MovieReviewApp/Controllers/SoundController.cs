@@ -11,18 +11,32 @@ namespace MovieReviewApp.Controllers
     {
         private readonly SoundClipService _soundClipService;
         private readonly AwardQuestionService _awardQuestionService;
+        private readonly SoundSequenceService _soundSequenceService;
+        private readonly SoundPlayService _soundPlayService;
+        private readonly SoundboardArchiveService _soundboardArchiveService;
+        private readonly PersonService _personService;
         private readonly ILogger<SoundController> _logger;
+        private const int MaxHashesPerCheck = 200;
+        private const int MaxPlaysPerReport = 500;
 
         /// <summary>
         /// Initializes a new instance of the SoundController class.
         /// </summary>
         /// <param name="soundClipService">The sound clip service.</param>
         /// <param name="awardQuestionService">The award question service.</param>
+        /// <param name="soundSequenceService">The sound sequence service.</param>
+        /// <param name="soundPlayService">The sound play statistics service.</param>
+        /// <param name="soundboardArchiveService">The soundboard export/import service.</param>
+        /// <param name="personService">The person service, used to name exported archives.</param>
         /// <param name="logger">The logger for the controller.</param>
-        public SoundController(SoundClipService soundClipService, AwardQuestionService awardQuestionService, ILogger<SoundController> logger)
+        public SoundController(SoundClipService soundClipService, AwardQuestionService awardQuestionService, SoundSequenceService soundSequenceService, SoundPlayService soundPlayService, SoundboardArchiveService soundboardArchiveService, PersonService personService, ILogger<SoundController> logger)
         {
             _soundClipService = soundClipService;
             _awardQuestionService = awardQuestionService;
+            _soundSequenceService = soundSequenceService;
+            _soundPlayService = soundPlayService;
+            _soundboardArchiveService = soundboardArchiveService;
+            _personService = personService;
             _logger = logger;
         }
 
@@ -95,6 +109,119 @@ namespace MovieReviewApp.Controllers
             }
         }
 
+        /// <summary>
+        /// Records a batch of clip plays from the soundboard. Plays buffered while the browser was offline
+        /// keep the time they happened.
+        /// </summary>
+        /// <param name="request">The plays, each with the clip ID and when it was played.</param>
+        /// <returns>The number of plays recorded.</returns>
+        [HttpPost("plays")]
+        public async Task<IActionResult> RecordPlays([FromBody] PlayReportRequest request)
+        {
+            if (request.Plays == null || request.Plays.Count == 0)
+            {
+                return BadRequest("Plays are required");
+            }
+
+            if (request.Plays.Count > MaxPlaysPerReport)
+            {
+                return BadRequest($"At most {MaxPlaysPerReport} plays can be reported at once");
+            }
+
+            try
+            {
+                int recorded = await _soundPlayService.RecordPlaysAsync(request.Plays);
+                return Ok(new { recorded });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to record {Count} sound plays", request.Plays.Count);
+                return StatusCode(500, "Failed to record plays");
+            }
+        }
+
+        /// <summary>
+        /// Checks which of the given hashes already belong to a sound clip, so the browser can skip uploading duplicates.
+        /// </summary>
+        /// <param name="request">The base64 SHA-256 hashes of the files about to be uploaded.</param>
+        /// <returns>The existing clips that match, one per hash.</returns>
+        [HttpPost("check-hashes")]
+        public async Task<IActionResult> CheckHashes([FromBody] HashCheckRequest request)
+        {
+            if (request.Hashes == null || request.Hashes.Count == 0)
+            {
+                return BadRequest("Hashes are required");
+            }
+
+            if (request.Hashes.Count > MaxHashesPerCheck)
+            {
+                return BadRequest($"At most {MaxHashesPerCheck} hashes can be checked at once");
+            }
+
+            try
+            {
+                List<SoundClipStorage> existing = await _soundClipService.GetByHashesAsync(request.Hashes);
+                return Ok(existing
+                    .GroupBy(s => s.Hash)
+                    .Select(g => g.First())
+                    .Select(s => new
+                    {
+                        hash = s.Hash,
+                        id = s.Id.ToString(),
+                        personId = s.PersonId,
+                        originalFileName = s.OriginalFileName,
+                        url = _soundClipService.GetSoundClipUrl(s)
+                    }));
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to check {Count} sound hashes", request.Hashes.Count);
+                return StatusCode(500, "Failed to check for duplicate sounds");
+            }
+        }
+
+        /// <summary>
+        /// Downloads a person's soundboard as a zip of their clips plus a soundboard.json manifest
+        /// with titles, descriptions, tags, trims and board order.
+        /// </summary>
+        /// <param name="personId">The ID of the person whose board to export.</param>
+        /// <returns>The zip archive.</returns>
+        [HttpGet("export/{personId}")]
+        public async Task<IActionResult> ExportBoard(string personId, CancellationToken cancellationToken)
+        {
+            if (!Guid.TryParse(personId, out Guid personGuid))
+            {
+                return BadRequest("A valid personId is required");
+            }
+
+            Person? person = await _personService.GetByIdAsync(personGuid);
+            if (person == null)
+            {
+                return NotFound();
+            }
+
+            // Build the zip in a temp file so a big board doesn't have to fit in memory; it is deleted once sent
+            FileStream archive = new FileStream(Path.GetTempFileName(), FileMode.Create, FileAccess.ReadWrite, FileShare.None, 81920, FileOptions.DeleteOnClose);
+            try
+            {
+                await _soundboardArchiveService.WriteExportAsync(personId, person.Name, archive, cancellationToken);
+                archive.Position = 0;
+
+                return File(archive, "application/zip", SoundboardArchiveHelpers.GetArchiveFileName(person.Name, DateTime.Now));
+            }
+            catch (Exception ex)
+            {
+                await archive.DisposeAsync();
+                if (ex is OperationCanceledException)
+                {
+                    return new EmptyResult();
+                }
+
+                _logger.LogError(ex, "Failed to export soundboard for person {PersonId}", personId);
+                return StatusCode(500, "Failed to export soundboard");
+            }
+        }
+
         /// <summary>
         /// Deletes a sound clip by ID.
         /// </summary>
@@ -108,6 +235,7 @@ namespace MovieReviewApp.Controllers
                 bool success = await _soundClipService.DeleteAsync(id);
                 if (success)
                 {
+                    await _soundSequenceService.RemoveClipAsync(id.ToString());
                     return Ok();
                 }
                 else
@@ -153,6 +281,37 @@ namespace MovieReviewApp.Controllers
             }
         }
 
+        /// <summary>
+        /// Stores the loudness measured in the browser and returns the normalization gain to play the clip at.
+        /// </summary>
+        /// <param name="id">The ID of the sound clip.</param>
+        /// <param name="request">The measured integrated loudness (LUFS) and optional duration.</param>
+        /// <returns>The normalization gain for the clip.</returns>
+        [HttpPost("{id}/loudness")]
+        public async Task<IActionResult> UpdateLoudness(Guid id, [FromBody] LoudnessRequest request)
+        {
+            if (!LoudnessHelpers.IsValidLoudness(request.Loudness))
+            {
+                return BadRequest("Loudness must be between -70 and 0 LUFS");
+            }
+
+            try
+            {
+                double? gain = await _soundClipService.UpdateLoudnessAsync(id, request.Loudness, request.Duration);
+                if (!gain.HasValue)
+                {
+                    return NotFound();
+                }
+
+                return Ok(new { normalizationGain = gain.Value });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Failed to store loudness for sound {Id}", id);
+                return StatusCode(500, "Failed to store loudness");
+            }
+        }
+
         /// <summary>
         /// Tests the sound controller endpoint.
         /// </summary>
@@ -183,7 +342,9 @@ namespace MovieReviewApp.Controllers
                     contentType = s.ContentType,
                     url = _soundClipService.GetSoundClipUrl(s),
                     personId = s.PersonId,
-                    hash = s.Hash
+                    hash = s.Hash,
+                    loudness = s.Loudness,
+                    normalizationGain = s.NormalizationGain
                 }).ToList();
 
                 return Ok(new
@@ -230,5 +391,21 @@ namespace MovieReviewApp.Controllers
             public string Url { get; set; } = string.Empty;
             public string? Description { get; set; }
         }
+
+        public class LoudnessRequest
+        {
+            public double Loudness { get; set; }
+            public double? Duration { get; set; }
+        }
+
+        public class HashCheckRequest
+        {
+            public List<string> Hashes { get; set; } = new();
+        }
+
+        public class PlayReportRequest
+        {
+            public List<SoundPlayReport> Plays { get; set; } = new();
+        }
     }
 }
@@ -12,9 +12,17 @@ namespace MovieReviewApp.Infrastructure.FileSystem
         private readonly MongoDbService _database;
         private readonly IHttpClientFactory _httpClientFactory;
         private readonly ILogger<ImageService> _logger;
-        private const int MaxWidth = 800;
-        private const int MaxHeight = 1200;
-        private const int Quality = 85;
+        /// <summary>
+        /// Largest stored poster size and JPEG quality. ImageUpload passes these to the browser,
+        /// which resizes and compresses images to match before uploading them.
+        /// </summary>
+        public const int MaxWidth = 800;
+        public const int MaxHeight = 1200;
+        public const int Quality = 85;
+        /// <summary>
+        /// Browser-encoded posters up to this size are stored as they are; anything larger is re-encoded.
+        /// </summary>
+        public const int MaxClientOptimizedBytes = 1024 * 1024;
 
         public ImageService(
             MongoDbService database,
@@ -26,12 +34,17 @@ namespace MovieReviewApp.Infrastructure.FileSystem
             _logger = logger;
         }
 
-        public async Task<Guid?> SaveImageAsync(byte[] imageData, string fileName, string? originalUrl = null)
+        /// <summary>
+        /// Stores an image, resized to the poster limits and re-encoded as JPEG without its metadata.
+        /// </summary>
+        /// <param name="clientOptimized">The image was already resized and re-encoded by imageUpload.js,
+        /// so it can be kept as it is when small enough</param>
+        public async Task<Guid?> SaveImageAsync(byte[] imageData, string fileName, string? originalUrl = null, bool clientOptimized = false)
         {
             try
             {
                 using Image image = Image.Load(imageData);
-                byte[] optimizedImageData = await OptimizeImageAsync(image);
+                (byte[] optimizedImageData, string contentType) = await OptimizeImageAsync(image, imageData, clientOptimized);
                 string hash = ComputeHash(optimizedImageData);
 
                 IEnumerable<ImageStorage> existingImages = await _database.FindAsync<ImageStorage>(img => img.Hash == hash);
@@ -45,7 +58,7 @@ namespace MovieReviewApp.Infrastructure.FileSystem
                 ImageStorage imageStorage = new ImageStorage
                 {
                     FileName = fileName,
-                    ContentType = "image/jpeg",
+                    ContentType = contentType,
                     ImageData = optimizedImageData,
                     Width = image.Width,
                     Height = image.Height,
@@ -97,8 +110,23 @@ namespace MovieReviewApp.Infrastructure.FileSystem
             return image?.ImageData;
         }
 
-        private async Task<byte[]> OptimizeImageAsync(Image image)
+        private async Task<(byte[] Data, string ContentType)> OptimizeImageAsync(Image image, byte[] originalData, bool clientOptimized)
         {
+            // Already sized and compressed in the browser - re-encoding would only lose quality
+            string? mimeType = image.Metadata.DecodedImageFormat?.DefaultMimeType;
+            if (clientOptimized
+                && originalData.Length <= MaxClientOptimizedBytes
+                && image.Width <= MaxWidth && image.Height <= MaxHeight
+                && image.Metadata.ExifProfile == null
+                && mimeType is "image/jpeg" or "image/webp")
+            {
+                return (originalData, mimeType);
+            }
+
+            // Apply the camera's rotation before dropping the EXIF that holds it (and any GPS position)
+            image.Mutate(x => x.AutoOrient());
+            image.Metadata.ExifProfile = null;
+
             if (image.Width > MaxWidth || image.Height > MaxHeight)
             {
                 image.Mutate(x => x.Resize(new ResizeOptions
@@ -111,7 +139,7 @@ namespace MovieReviewApp.Infrastructure.FileSystem
             using MemoryStream memoryStream = new MemoryStream();
             JpegEncoder encoder = new JpegEncoder { Quality = Quality };
             await image.SaveAsync(memoryStream, encoder);
-            return memoryStream.ToArray();
+            return (memoryStream.ToArray(), "image/jpeg");
         }
 
         private static string ComputeHash(byte[] data)
@@ -12,10 +12,35 @@ namespace MovieReviewApp.Models
         public byte[] AudioData { get; set; } = Array.Empty<byte>();
         public long FileSize { get; set; }
         public double? Duration { get; set; }
+        public double? Loudness { get; set; }
+        public double? NormalizationGain { get; set; }
+        public double? TrimStart { get; set; }
+        public double? TrimEnd { get; set; }
+        public double? FadeIn { get; set; }
+        public double? FadeOut { get; set; }
         public DateTime UploadDate { get; set; } = DateTime.UtcNow;
         public string? OriginalUrl { get; set; }
         public string? Hash { get; set; }
         public bool IsActive { get; set; } = true;
         public string? Description { get; set; }
+        public string? Title { get; set; }
+        public List<string> Tags { get; set; } = new();
     }
-}
\ No newline at end of file
+
+    /// <summary>
+    /// Non-destructive playback window and fades for a sound clip, in seconds.
+    /// </summary>
+    public class SoundClipTrim
+    {
+        public double Start { get; set; }
+        public double? End { get; set; }
+        public double FadeIn { get; set; }
+        public double FadeOut { get; set; }
+    }
+
+    public class SoundSearchResult
+    {
+        public SoundClipStorage Clip { get; set; } = new();
+        public int Score { get; set; }
+    }
+}
@@ -0,0 +1,36 @@
+using MovieReviewApp.Attributes;
+
+namespace MovieReviewApp.Models
+{
+    /// <summary>
+    /// One play of a soundboard clip, reported by the browser that played it.
+    /// </summary>
+    [MongoCollection("SoundPlays")]
+    public class SoundPlay : BaseModel
+    {
+        public string SoundClipId { get; set; } = string.Empty;
+        public string PersonId { get; set; } = string.Empty;
+        public DateTime PlayedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    /// <summary>
+    /// A play as reported by the browser; PlayedAt is when it happened, which may be well before
+    /// the report if the device was offline.
+    /// </summary>
+    public class SoundPlayReport
+    {
+        /// <summary>
+        /// Generated by the browser when the clip played; the stored play's ID, so a play reported twice
+        /// (e.g. by two open tabs sharing the buffer) is only counted once.
+        /// </summary>
+        public string? PlayId { get; set; }
+        public string SoundId { get; set; } = string.Empty;
+        public DateTime? PlayedAt { get; set; }
+    }
+
+    public class SoundPlayRanking
+    {
+        public SoundClipStorage Clip { get; set; } = new();
+        public int Plays { get; set; }
+    }
+}
@@ -0,0 +1,27 @@
+using MovieReviewApp.Attributes;
+
+namespace MovieReviewApp.Models
+{
+    /// <summary>
+    /// A named list of a person's sound clips played back-to-back, shared by everyone in the group.
+    /// </summary>
+    [MongoCollection("SoundSequences")]
+    public class SoundSequence : BaseModel
+    {
+        public string PersonId { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public List<SoundSequenceStep> Steps { get; set; } = new();
+
+        // Playlist mode - the steps are played in a random order each time
+        public bool Shuffle { get; set; }
+    }
+
+    /// <summary>
+    /// One clip in a sequence and the silence to leave after it, in seconds.
+    /// </summary>
+    public class SoundSequenceStep
+    {
+        public string SoundClipId { get; set; } = string.Empty;
+        public double GapAfter { get; set; }
+    }
+}
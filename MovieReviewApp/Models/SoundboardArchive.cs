@@ -0,0 +1,64 @@
+namespace MovieReviewApp.Models
+{
+    /// <summary>
+    /// The manifest stored as soundboard.json at the root of an exported soundboard zip.
+    /// </summary>
+    public class SoundboardArchiveManifest
+    {
+        public int Version { get; set; }
+        public string? PersonName { get; set; }
+        public DateTime ExportedAt { get; set; }
+        public List<SoundboardArchiveClip> Clips { get; set; } = new();
+    }
+
+    /// <summary>
+    /// One clip in an exported soundboard: the zip entry holding its audio plus everything needed to rebuild its button.
+    /// </summary>
+    public class SoundboardArchiveClip
+    {
+        public string File { get; set; } = string.Empty;
+        public int Order { get; set; }
+        public string OriginalFileName { get; set; } = string.Empty;
+        public string? Title { get; set; }
+        public string? Description { get; set; }
+        public List<string> Tags { get; set; } = new();
+        public string? ContentType { get; set; }
+        public string? Hash { get; set; }
+        public double? Duration { get; set; }
+        public double? Loudness { get; set; }
+        public double? NormalizationGain { get; set; }
+        public double? TrimStart { get; set; }
+        public double? TrimEnd { get; set; }
+        public double? FadeIn { get; set; }
+        public double? FadeOut { get; set; }
+    }
+
+    public enum SoundboardImportStatus
+    {
+        New,
+        AlreadyExists,
+        DuplicateInArchive,
+        Invalid
+    }
+
+    /// <summary>
+    /// What importing one clip from an archive would do, shown in the preview before anything is saved.
+    /// </summary>
+    public class SoundboardImportItem
+    {
+        public SoundboardArchiveClip Clip { get; set; } = new();
+        public long SizeBytes { get; set; }
+        public string? Hash { get; set; }
+        public SoundboardImportStatus Status { get; set; }
+        public string? ExistingPersonId { get; set; }
+        public string? Message { get; set; }
+        public bool Selected { get; set; }
+    }
+
+    public class SoundboardImportPreview
+    {
+        public string? PersonName { get; set; }
+        public DateTime? ExportedAt { get; set; }
+        public List<SoundboardImportItem> Items { get; set; } = new();
+    }
+}
@@ -0,0 +1,60 @@
+namespace MovieReviewApp.Models
+{
+    public enum PartyAction
+    {
+        Play,
+        Stop
+    }
+
+    public enum PartySendStatus
+    {
+        Delivered,
+        NoSpeaker,
+        RateLimited
+    }
+
+    /// <summary>
+    /// Everything the speaker needs to play a clip the same way the sender's board would.
+    /// Property names match the play button's data attributes in soundboard.js.
+    /// </summary>
+    public class PartyClip
+    {
+        public string SoundId { get; set; } = string.Empty;
+        public string Url { get; set; } = string.Empty;
+        public string Label { get; set; } = string.Empty;
+        public double? NormalizationGain { get; set; }
+        public double? TrimStart { get; set; }
+        public double? TrimEnd { get; set; }
+        public double? FadeIn { get; set; }
+        public double? FadeOut { get; set; }
+    }
+
+    public class PartyCommand
+    {
+        public PartyAction Action { get; set; }
+        public PartyClip? Clip { get; set; }
+        public string SenderId { get; set; } = string.Empty;
+        public string SenderName { get; set; } = string.Empty;
+    }
+
+    public class PartySendResult
+    {
+        public PartySendStatus Status { get; set; }
+        public TimeSpan RetryAfter { get; set; }
+    }
+
+    public class PartySpeaker
+    {
+        public string ConnectionId { get; set; } = string.Empty;
+        public string DeviceName { get; set; } = string.Empty;
+        public DateTime Since { get; set; } = DateTime.UtcNow;
+    }
+
+    public class PartyActivity
+    {
+        public string SenderName { get; set; } = string.Empty;
+        public PartyAction Action { get; set; }
+        public string? ClipLabel { get; set; }
+        public DateTime At { get; set; } = DateTime.UtcNow;
+    }
+}
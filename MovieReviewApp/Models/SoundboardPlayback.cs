@@ -0,0 +1,35 @@
+namespace MovieReviewApp.Models
+{
+    public enum ClipPlaybackStatus
+    {
+        Idle,
+        Loading,
+        Playing,
+        Error
+    }
+
+    /// <summary>
+    /// A playback event pushed from soundboard.js: loading, playing, progress, ended or error.
+    /// Position and duration are seconds within the clip's trimmed region.
+    /// </summary>
+    public class SoundPlaybackEvent
+    {
+        public string? SoundId { get; set; }
+        public string Url { get; set; } = string.Empty;
+        public string State { get; set; } = string.Empty;
+        public double? Position { get; set; }
+        public double? Duration { get; set; }
+        public string? Error { get; set; }
+    }
+
+    /// <summary>
+    /// What a clip's play button should show right now.
+    /// </summary>
+    public class ClipPlaybackState
+    {
+        public ClipPlaybackStatus Status { get; set; } = ClipPlaybackStatus.Idle;
+        public double Position { get; set; }
+        public double? Duration { get; set; }
+        public string? Error { get; set; }
+    }
+}
@@ -0,0 +1,41 @@
+namespace MovieReviewApp.Models
+{
+    /// <summary>
+    /// Kind of artwork TMDB holds for a movie.
+    /// </summary>
+    public enum TmdbImageKind
+    {
+        Poster,
+        Backdrop
+    }
+
+    /// <summary>
+    /// A poster or backdrop found on TMDB for a movie search, offered in the poster picker.
+    /// Not stored - picking one saves the image itself through ImageService.
+    /// </summary>
+    public class TmdbImageCandidate
+    {
+        public TmdbImageKind Kind { get; set; }
+        public int TmdbId { get; set; }
+        public string MovieTitle { get; set; } = string.Empty;
+        public string? Year { get; set; }
+
+        /// <summary>
+        /// Position of the movie in TMDB's search results (0 = most relevant).
+        /// </summary>
+        public int SearchRank { get; set; }
+        public bool IsExactTitleMatch { get; set; }
+
+        public string FilePath { get; set; } = string.Empty;
+        public string ThumbnailUrl { get; set; } = string.Empty;
+        public string ImageUrl { get; set; } = string.Empty;
+        public int Width { get; set; }
+        public int Height { get; set; }
+
+        /// <summary>
+        /// ISO 639-1 code of any text on the image; null for textless art.
+        /// </summary>
+        public string? Language { get; set; }
+        public double VoteAverage { get; set; }
+    }
+}
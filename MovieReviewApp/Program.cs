@@ -178,6 +178,7 @@ builder.Services.Configure<FormOptions>(options =>
 // Register database service
 builder.Services.AddSingleton<MongoDbService>();
 builder.Services.AddSingleton<PersonAssignmentCacheService>();
+builder.Services.AddSingleton<SoundboardPartyService>();
 
 // Register repository interfaces (enforces separation of concerns)
 builder.Services.AddScoped(typeof(IRepository<>), typeof(MongoRepository<>));
@@ -202,6 +203,10 @@ builder.Services.AddScoped<PersonService>();
 builder.Services.AddScoped<SettingService>();
 builder.Services.AddScoped<SiteUpdateService>();
 builder.Services.AddScoped<SoundClipService>();
+builder.Services.AddScoped<SoundSequenceService>();
+builder.Services.AddScoped<SoundPlayService>();
+builder.Services.AddScoped<SoundboardArchiveService>();
+builder.Services.AddScoped<SoundboardPlaybackService>();
 builder.Services.AddScoped<TimelineRenderingService>();
 
 builder.Services.AddScoped<MovieReviewService>();
@@ -218,7 +223,9 @@ builder.Services.AddHttpClient<GladiaService>(client =>
 });
 builder.Services.AddScoped<ClaudeService>();
 builder.Services.AddScoped<PromptService>();
-builder.Services.AddScoped<TmdbService>();
+// Consumers depend on ITmdbService so tests can substitute StubTmdbService
+builder.Services.AddHttpClient<ITmdbService, TmdbService>();
+builder.Services.AddScoped<PosterSearchService>();
 
 // Register refactored analysis services
 builder.Services.AddScoped<WordAnalysisService>();
@@ -15,7 +15,8 @@ public static class FileValidationHelpers
         "audio/aac",
         "audio/mp4",
         "audio/x-wav",
-        "audio/wave"
+        "audio/wave",
+        "audio/webm"
     };
 
     private static readonly string[] AllowedImageMimeTypes = {
@@ -0,0 +1,52 @@
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for poster images that are resized and re-encoded in the browser before upload.
+/// </summary>
+public static class ImageUploadHelpers
+{
+    /// <summary>
+    /// Short name for an image MIME type, e.g. "WebP" for image/webp.
+    /// </summary>
+    public static string GetFormatName(string? contentType)
+    {
+        return contentType?.Trim().ToLowerInvariant() switch
+        {
+            "image/webp" => "WebP",
+            "image/jpeg" or "image/jpg" => "JPEG",
+            "image/png" => "PNG",
+            "image/gif" => "GIF",
+            "image/avif" => "AVIF",
+            _ => "Image"
+        };
+    }
+
+    /// <summary>
+    /// Before/after readout for an upload, e.g. "4.2 MB → 183.0 KB (WebP, 800×1200, 96% smaller)".
+    /// </summary>
+    public static string DescribeCompression(long originalBytes, long uploadedBytes, string? contentType, int width, int height)
+    {
+        string saving = originalBytes > 0 && uploadedBytes < originalBytes
+            ? $"{Math.Round((1 - (double)uploadedBytes / originalBytes) * 100):0}% smaller"
+            : "no smaller";
+
+        return $"{AudioFileHelpers.FormatBytes(originalBytes)} → {AudioFileHelpers.FormatBytes(uploadedBytes)} " +
+               $"({GetFormatName(contentType)}, {width}×{height}, {saving})";
+    }
+
+    /// <summary>
+    /// Inline error for dropped or pasted files that aren't images, naming up to three of them.
+    /// </summary>
+    public static string DescribeRejectedFiles(IReadOnlyList<string> fileNames)
+    {
+        const int maxNamed = 3;
+        List<string> named = fileNames.Take(maxNamed).Select(name => $"\"{name}\"").ToList();
+        string list = fileNames.Count > maxNamed
+            ? $"{string.Join(", ", named)} and {fileNames.Count - maxNamed} more"
+            : named.Count > 1
+                ? $"{string.Join(", ", named.Take(named.Count - 1))} and {named[^1]}"
+                : named.FirstOrDefault() ?? "That file";
+
+        return $"{list} {(fileNames.Count <= 1 ? "isn't an image" : "aren't images")}. Posters can be JPG, PNG, GIF or WebP.";
+    }
+}
@@ -0,0 +1,49 @@
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for soundboard loudness normalization.
+/// Converts a measured integrated loudness into the playback gain applied by the soundboard.
+/// </summary>
+public static class LoudnessHelpers
+{
+    /// <summary>
+    /// Integrated loudness every clip is normalized towards, in LUFS.
+    /// </summary>
+    public const double TargetLoudnessLufs = -18.0;
+
+    /// <summary>
+    /// Quietest loudness the browser can report; anything below is treated as silence.
+    /// </summary>
+    public const double MinimumLoudnessLufs = -70.0;
+
+    public const double MinimumGain = 0.1;
+    public const double MaximumGain = 4.0;
+
+    /// <summary>
+    /// Checks if a reported loudness is a usable measurement.
+    /// </summary>
+    /// <param name="loudnessLufs">Integrated loudness in LUFS</param>
+    /// <returns>True if the value is finite and within the measurable range</returns>
+    public static bool IsValidLoudness(double loudnessLufs)
+    {
+        return double.IsFinite(loudnessLufs) &&
+               loudnessLufs >= MinimumLoudnessLufs &&
+               loudnessLufs <= 0;
+    }
+
+    /// <summary>
+    /// Calculates the linear gain that brings a clip to the target loudness.
+    /// Boost is capped so near-silent clips don't turn into amplified noise.
+    /// </summary>
+    /// <param name="loudnessLufs">Integrated loudness in LUFS</param>
+    /// <returns>Linear gain multiplier, or 1.0 when the measurement is unusable</returns>
+    public static double CalculateNormalizationGain(double loudnessLufs)
+    {
+        if (!IsValidLoudness(loudnessLufs))
+            return 1.0;
+
+        double gainDb = TargetLoudnessLufs - loudnessLufs;
+        double gain = Math.Pow(10, gainDb / 20.0);
+        return Math.Round(Math.Clamp(gain, MinimumGain, MaximumGain), 4);
+    }
+}
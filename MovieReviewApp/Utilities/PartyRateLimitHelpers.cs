@@ -0,0 +1,46 @@
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Sliding-window rate limiting for soundboard party mode, so one guest can't drown out the room.
+/// </summary>
+public static class PartyRateLimitHelpers
+{
+    /// <summary>
+    /// Records a command if the sender still has room in the current window.
+    /// </summary>
+    /// <param name="recent">Times of the sender's earlier commands, oldest first; pruned and appended to in place</param>
+    /// <param name="now">The time of this command</param>
+    /// <param name="maxCommands">Commands allowed per window</param>
+    /// <param name="window">Length of the sliding window</param>
+    /// <param name="retryAfter">How long until the next command would be allowed, when this one isn't</param>
+    /// <returns>True if the command is allowed</returns>
+    public static bool TryConsume(Queue<DateTime> recent, DateTime now, int maxCommands, TimeSpan window, out TimeSpan retryAfter)
+    {
+        while (recent.Count > 0 && now - recent.Peek() >= window)
+        {
+            recent.Dequeue();
+        }
+
+        if (recent.Count >= maxCommands)
+        {
+            retryAfter = recent.Peek() + window - now;
+            return false;
+        }
+
+        recent.Enqueue(now);
+        retryAfter = TimeSpan.Zero;
+        return true;
+    }
+
+    /// <summary>
+    /// Whether all of a sender's commands have left the window, so their history can be forgotten.
+    /// </summary>
+    /// <param name="recent">Times of the sender's commands, oldest first</param>
+    /// <param name="now">The current time</param>
+    /// <param name="window">Length of the sliding window</param>
+    /// <returns>True if the sender has no commands within the window</returns>
+    public static bool HasExpired(Queue<DateTime> recent, DateTime now, TimeSpan window)
+    {
+        return recent.Count == 0 || now - recent.Last() >= window;
+    }
+}
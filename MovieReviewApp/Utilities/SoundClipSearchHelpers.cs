@@ -0,0 +1,170 @@
+using System.Text.RegularExpressions;
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for soundboard clip titles, tags and fuzzy search.
+/// </summary>
+public static class SoundClipSearchHelpers
+{
+    public const int MaxTitleLength = 80;
+    public const int MaxTags = 10;
+    public const int MaxTagLength = 24;
+
+    /// <summary>
+    /// The label shown on a clip's button: its title, or the uploaded file name when it has none.
+    /// </summary>
+    public static string GetDisplayName(SoundClipStorage clip)
+    {
+        return string.IsNullOrWhiteSpace(clip.Title) ? clip.OriginalFileName : clip.Title;
+    }
+
+    /// <summary>
+    /// Trims a title; an empty title means "use the file name".
+    /// </summary>
+    /// <exception cref="ArgumentException">Thrown when the title is longer than <see cref="MaxTitleLength"/></exception>
+    public static string? NormalizeTitle(string? title)
+    {
+        string trimmed = title?.Trim() ?? string.Empty;
+        if (trimmed.Length > MaxTitleLength)
+            throw new ArgumentException($"Title must be {MaxTitleLength} characters or fewer", nameof(title));
+
+        return trimmed.Length == 0 ? null : trimmed;
+    }
+
+    /// <summary>
+    /// Lower-cases tags, strips a leading '#', joins words with hyphens and removes duplicates.
+    /// </summary>
+    /// <exception cref="ArgumentException">Thrown when a tag is too long or there are too many</exception>
+    public static List<string> NormalizeTags(IEnumerable<string>? tags)
+    {
+        List<string> normalized = new List<string>();
+        foreach (string raw in tags ?? Enumerable.Empty<string>())
+        {
+            string tag = Regex.Replace((raw ?? string.Empty).Trim().TrimStart('#').Trim().ToLowerInvariant(), @"\s+", "-");
+            if (tag.Length == 0 || normalized.Contains(tag))
+                continue;
+            if (tag.Length > MaxTagLength)
+                throw new ArgumentException($"Tags must be {MaxTagLength} characters or fewer", nameof(tags));
+
+            normalized.Add(tag);
+        }
+
+        if (normalized.Count > MaxTags)
+            throw new ArgumentException($"A clip can have at most {MaxTags} tags", nameof(tags));
+
+        return normalized;
+    }
+
+    /// <summary>
+    /// Scores how well a search term matches some text. Whole substrings beat scattered letters,
+    /// and matches at the start of a word beat matches in the middle.
+    /// </summary>
+    /// <param name="term">A single lower- or mixed-case search term</param>
+    /// <param name="text">The text to search</param>
+    /// <returns>A positive score, or -1 when the term's letters don't all appear in order</returns>
+    public static int FuzzyScore(string term, string? text)
+    {
+        if (string.IsNullOrEmpty(term) || string.IsNullOrEmpty(text))
+            return -1;
+
+        string query = term.ToLowerInvariant();
+        string target = text.ToLowerInvariant();
+
+        int index = target.IndexOf(query, StringComparison.Ordinal);
+        if (index >= 0)
+        {
+            int substringScore = 100 + (query.Length * 10);
+            if (index == 0)
+                substringScore += 50;
+            else if (!char.IsLetterOrDigit(target[index - 1]))
+                substringScore += 30;
+            if (query.Length == target.Length)
+                substringScore += 50;
+            return substringScore;
+        }
+
+        // Every letter of the term in order, e.g. "wsup" in "whats-up"
+        int score = 0;
+        int previous = -2;
+        int run = 0;
+        foreach (char c in query)
+        {
+            int found = target.IndexOf(c, previous + 1);
+            if (found < 0)
+                return -1;
+
+            run = found == previous + 1 ? run + 1 : 0;
+            score += 1 + (run * 5);
+            if (found == 0 || !char.IsLetterOrDigit(target[found - 1]))
+                score += 8;
+            previous = found;
+        }
+
+        return Math.Max(1, score);
+    }
+
+    /// <summary>
+    /// Searches clips by title, tags, file name, description and owner. Every term must match
+    /// something; a term starting with '#' only matches tags.
+    /// </summary>
+    /// <param name="clips">The clips to search</param>
+    /// <param name="query">Space-separated search terms</param>
+    /// <param name="personNameLookup">Resolves a clip's PersonId to a name, so "alex airhorn" finds Alex's airhorn</param>
+    /// <param name="take">Maximum number of results</param>
+    /// <returns>Matching clips, best first</returns>
+    public static List<SoundSearchResult> Search(IEnumerable<SoundClipStorage> clips, string? query, Func<string, string>? personNameLookup, int take)
+    {
+        string[] terms = (query ?? string.Empty).Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        if (terms.Length == 0)
+            return new List<SoundSearchResult>();
+
+        return clips
+            .Select(clip => new SoundSearchResult { Clip = clip, Score = ScoreClip(clip, terms, personNameLookup?.Invoke(clip.PersonId)) })
+            .Where(result => result.Score > 0)
+            .OrderByDescending(result => result.Score)
+            .ThenBy(result => GetDisplayName(result.Clip), StringComparer.OrdinalIgnoreCase)
+            .Take(take)
+            .ToList();
+    }
+
+    private static int ScoreClip(SoundClipStorage clip, string[] terms, string? personName)
+    {
+        int total = 0;
+        foreach (string term in terms)
+        {
+            int best;
+            if (term.StartsWith('#'))
+            {
+                string tagTerm = term.TrimStart('#').ToLowerInvariant();
+                best = tagTerm.Length == 0 ? 1 : ScoreTags(clip, tagTerm);
+            }
+            else
+            {
+                best = new[]
+                {
+                    FuzzyScore(term, GetDisplayName(clip)) * 3,
+                    ScoreTags(clip, term.ToLowerInvariant()),
+                    FuzzyScore(term, clip.OriginalFileName),
+                    FuzzyScore(term, clip.Description),
+                    FuzzyScore(term, personName)
+                }.Max();
+            }
+
+            if (best <= 0)
+                return 0;
+            total += best;
+        }
+        return total;
+    }
+
+    private static int ScoreTags(SoundClipStorage clip, string term)
+    {
+        if (clip.Tags == null || clip.Tags.Count == 0)
+            return -1;
+
+        // An exact tag is a deliberate label, so it outranks any fuzzy title match
+        return clip.Tags.Max(tag => tag == term ? 1000 : FuzzyScore(term, tag) * 2);
+    }
+}
@@ -0,0 +1,63 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for validating soundboard trim and fade settings.
+/// </summary>
+public static class SoundClipTrimHelpers
+{
+    /// <summary>
+    /// Shortest playable region a trim may leave, in seconds.
+    /// </summary>
+    public const double MinimumLength = 0.1;
+
+    /// <summary>
+    /// Clamps a trim to the clip's duration and keeps fades inside the trimmed region.
+    /// </summary>
+    /// <param name="trim">The requested trim</param>
+    /// <param name="duration">The clip's duration in seconds, if known</param>
+    /// <returns>The normalized trim</returns>
+    /// <exception cref="ArgumentException">Thrown when the region is empty or shorter than <see cref="MinimumLength"/></exception>
+    public static SoundClipTrim Normalize(SoundClipTrim trim, double? duration)
+    {
+        if (!double.IsFinite(trim.Start) || (trim.End.HasValue && !double.IsFinite(trim.End.Value)))
+            throw new ArgumentException("Trim points must be finite numbers", nameof(trim));
+
+        double start = Math.Max(0, trim.Start);
+        double? end = trim.End;
+
+        if (duration.HasValue && duration.Value > 0)
+        {
+            end = Math.Min(end ?? duration.Value, duration.Value);
+
+            // Ending at the natural end of the clip is the same as not trimming the end
+            if (duration.Value - end.Value < 0.001)
+                end = null;
+        }
+
+        double? length = (end ?? duration) - start;
+        if (length.HasValue && length.Value < MinimumLength)
+            throw new ArgumentException($"Trimmed clip must be at least {MinimumLength} seconds long", nameof(trim));
+
+        double maxFade = length.HasValue ? length.Value / 2 : double.MaxValue;
+        double fadeIn = double.IsFinite(trim.FadeIn) ? Math.Clamp(trim.FadeIn, 0, maxFade) : 0;
+        double fadeOut = double.IsFinite(trim.FadeOut) ? Math.Clamp(trim.FadeOut, 0, maxFade) : 0;
+
+        return new SoundClipTrim
+        {
+            Start = Math.Round(start, 3),
+            End = end.HasValue ? Math.Round(end.Value, 3) : null,
+            FadeIn = Math.Round(fadeIn, 3),
+            FadeOut = Math.Round(fadeOut, 3)
+        };
+    }
+
+    /// <summary>
+    /// Checks if a trim leaves the clip exactly as uploaded.
+    /// </summary>
+    public static bool IsUntrimmed(SoundClipTrim trim)
+    {
+        return trim.Start <= 0 && !trim.End.HasValue && trim.FadeIn <= 0 && trim.FadeOut <= 0;
+    }
+}
@@ -0,0 +1,68 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for soundboard play statistics.
+/// </summary>
+public static class SoundPlayStatsHelpers
+{
+    /// <summary>
+    /// Plays buffered offline for longer than this are dropped rather than skewing the stats.
+    /// </summary>
+    public static readonly TimeSpan MaxReportAge = TimeSpan.FromDays(30);
+
+    /// <summary>
+    /// Works out when a reported play happened, trusting the browser's clock within reason.
+    /// </summary>
+    /// <param name="reported">The time the browser recorded, if any</param>
+    /// <param name="now">The current UTC time</param>
+    /// <returns>The play time in UTC, or null if the play is too old to keep</returns>
+    public static DateTime? NormalizePlayedAt(DateTime? reported, DateTime now)
+    {
+        if (!reported.HasValue)
+            return now;
+
+        DateTime playedAt = reported.Value.Kind == DateTimeKind.Local
+            ? reported.Value.ToUniversalTime()
+            : DateTime.SpecifyKind(reported.Value, DateTimeKind.Utc);
+
+        // A clock running ahead can't put plays in the future
+        if (playedAt > now)
+            return now;
+
+        return now - playedAt > MaxReportAge ? null : playedAt;
+    }
+
+    /// <summary>
+    /// Ranks clips by play count, most played first; ties go to the newer clip.
+    /// </summary>
+    /// <param name="clips">The clips to rank</param>
+    /// <param name="playCounts">Play counts keyed by clip ID</param>
+    /// <param name="take">Maximum number of clips to return</param>
+    /// <returns>Clips with at least one play</returns>
+    public static List<SoundPlayRanking> GetMostPlayed(IEnumerable<SoundClipStorage> clips, IReadOnlyDictionary<string, int> playCounts, int take)
+    {
+        return clips
+            .Select(clip => new SoundPlayRanking { Clip = clip, Plays = playCounts.GetValueOrDefault(clip.Id.ToString()) })
+            .Where(ranking => ranking.Plays > 0)
+            .OrderByDescending(ranking => ranking.Plays)
+            .ThenByDescending(ranking => ranking.Clip.CreatedAt)
+            .Take(take)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Clips nobody has played yet, oldest first since they've been ignored the longest.
+    /// </summary>
+    /// <param name="clips">The clips to check</param>
+    /// <param name="playCounts">Play counts keyed by clip ID</param>
+    /// <returns>Clips with no plays</returns>
+    public static List<SoundClipStorage> GetNeverPlayed(IEnumerable<SoundClipStorage> clips, IReadOnlyDictionary<string, int> playCounts)
+    {
+        return clips
+            .Where(clip => playCounts.GetValueOrDefault(clip.Id.ToString()) == 0)
+            .OrderBy(clip => clip.CreatedAt)
+            .ToList();
+    }
+}
@@ -0,0 +1,62 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for validating soundboard sequences and playlists.
+/// </summary>
+public static class SoundSequenceHelpers
+{
+    public const int MaxNameLength = 60;
+    public const int MaxSteps = 50;
+
+    /// <summary>
+    /// Longest gap allowed between two clips, in seconds.
+    /// </summary>
+    public const double MaxGapSeconds = 30;
+
+    /// <summary>
+    /// Trims the name, drops steps without a clip and clamps gaps to a sensible range.
+    /// </summary>
+    /// <param name="sequence">The sequence to clean up; it is updated in place</param>
+    /// <returns>The same sequence, for chaining</returns>
+    /// <exception cref="ArgumentException">Thrown when the name is empty or too long, or there are no steps or too many</exception>
+    public static SoundSequence Normalize(SoundSequence sequence)
+    {
+        string name = sequence.Name?.Trim() ?? string.Empty;
+        if (name.Length == 0)
+            throw new ArgumentException("Sequence name is required", nameof(sequence));
+        if (name.Length > MaxNameLength)
+            throw new ArgumentException($"Sequence name must be {MaxNameLength} characters or fewer", nameof(sequence));
+
+        List<SoundSequenceStep> steps = (sequence.Steps ?? new List<SoundSequenceStep>())
+            .Where(s => !string.IsNullOrWhiteSpace(s.SoundClipId))
+            .Select(s => new SoundSequenceStep
+            {
+                SoundClipId = s.SoundClipId.Trim(),
+                GapAfter = double.IsFinite(s.GapAfter) ? Math.Round(Math.Clamp(s.GapAfter, 0, MaxGapSeconds), 2) : 0
+            })
+            .ToList();
+
+        if (steps.Count == 0)
+            throw new ArgumentException("Add at least one clip to the sequence", nameof(sequence));
+        if (steps.Count > MaxSteps)
+            throw new ArgumentException($"A sequence can have at most {MaxSteps} clips", nameof(sequence));
+
+        sequence.Name = name;
+        sequence.Steps = steps;
+        return sequence;
+    }
+
+    /// <summary>
+    /// Removes steps whose clip no longer exists.
+    /// </summary>
+    /// <param name="sequence">The sequence to update in place</param>
+    /// <param name="availableClipIds">IDs of the clips that still exist</param>
+    /// <returns>The number of steps removed</returns>
+    public static int RemoveMissingClips(SoundSequence sequence, IEnumerable<string> availableClipIds)
+    {
+        HashSet<string> available = new HashSet<string>(availableClipIds, StringComparer.OrdinalIgnoreCase);
+        return sequence.Steps.RemoveAll(s => !available.Contains(s.SoundClipId));
+    }
+}
@@ -0,0 +1,177 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for exporting and importing soundboards as zip archives.
+/// </summary>
+public static class SoundboardArchiveHelpers
+{
+    public const string ManifestEntryName = "soundboard.json";
+    public const string ClipFolder = "clips/";
+    public const int CurrentVersion = 1;
+
+    /// <summary>
+    /// Largest single clip accepted from an archive, in bytes.
+    /// </summary>
+    public const long MaxClipBytes = 50L * 1024 * 1024;
+
+    /// <summary>
+    /// Largest archive accepted for import, in bytes.
+    /// </summary>
+    public const long MaxArchiveBytes = 500L * 1024 * 1024;
+
+    private static readonly JsonSerializerOptions JsonOptions = new JsonSerializerOptions
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase,
+        WriteIndented = true
+    };
+
+    private static readonly Dictionary<string, string> ContentTypesByExtension = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".mp3"] = "audio/mpeg",
+        [".wav"] = "audio/wav",
+        [".ogg"] = "audio/ogg",
+        [".m4a"] = "audio/mp4",
+        [".aac"] = "audio/aac",
+        [".webm"] = "audio/webm",
+        [".flac"] = "audio/flac"
+    };
+
+    /// <summary>
+    /// Builds a readable, unique zip entry name for a clip, e.g. "clips/003-airhorn.mp3".
+    /// </summary>
+    /// <param name="order">The clip's position on the board, starting at 1</param>
+    /// <param name="originalFileName">The clip's uploaded file name</param>
+    /// <param name="usedNames">Entry names already in the archive; the new name is added to it</param>
+    public static string BuildEntryName(int order, string? originalFileName, ISet<string> usedNames)
+    {
+        string extension = Path.GetExtension(originalFileName ?? string.Empty).ToLowerInvariant();
+        string stem = ToFileStem(Path.GetFileNameWithoutExtension(originalFileName ?? string.Empty), "clip");
+
+        string name = $"{ClipFolder}{order:D3}-{stem}{extension}";
+        for (int suffix = 2; usedNames.Contains(name); suffix++)
+        {
+            name = $"{ClipFolder}{order:D3}-{stem}-{suffix}{extension}";
+        }
+
+        usedNames.Add(name);
+        return name;
+    }
+
+    /// <summary>
+    /// The download name for an exported board, e.g. "soundboard-Alex-2024-05-01.zip".
+    /// </summary>
+    public static string GetArchiveFileName(string? personName, DateTime exportedAt)
+    {
+        return $"soundboard-{ToFileStem(personName, "board")}-{exportedAt:yyyy-MM-dd}.zip";
+    }
+
+    public static string SerializeManifest(SoundboardArchiveManifest manifest)
+    {
+        return JsonSerializer.Serialize(manifest, JsonOptions);
+    }
+
+    /// <summary>
+    /// Reads a manifest written by <see cref="SerializeManifest"/>.
+    /// </summary>
+    /// <exception cref="InvalidDataException">Thrown when the JSON is unreadable or from a newer version of the app</exception>
+    public static SoundboardArchiveManifest ParseManifest(string json)
+    {
+        SoundboardArchiveManifest? manifest;
+        try
+        {
+            manifest = JsonSerializer.Deserialize<SoundboardArchiveManifest>(json, JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            throw new InvalidDataException($"{ManifestEntryName} is not valid JSON: {ex.Message}", ex);
+        }
+
+        if (manifest == null)
+            throw new InvalidDataException($"{ManifestEntryName} is empty");
+        if (manifest.Version > CurrentVersion)
+            throw new InvalidDataException($"This archive was made by a newer version (v{manifest.Version}) and can't be imported");
+
+        manifest.Clips = (manifest.Clips ?? new List<SoundboardArchiveClip>())
+            .Where(c => !string.IsNullOrWhiteSpace(c.File))
+            .OrderBy(c => c.Order)
+            .ToList();
+        return manifest;
+    }
+
+    /// <summary>
+    /// Builds a manifest for a zip of plain audio files with no soundboard.json, in entry order.
+    /// </summary>
+    public static SoundboardArchiveManifest BuildManifestFromEntries(IEnumerable<string> entryNames)
+    {
+        List<SoundboardArchiveClip> clips = entryNames
+            .Where(name => !name.EndsWith('/') && !Path.GetFileName(name).StartsWith('.') && AudioFileHelpers.IsAudioFile(name))
+            .Select((name, index) => new SoundboardArchiveClip
+            {
+                File = name,
+                Order = index + 1,
+                OriginalFileName = Path.GetFileName(name)
+            })
+            .ToList();
+
+        return new SoundboardArchiveManifest { Version = CurrentVersion, Clips = clips };
+    }
+
+    /// <summary>
+    /// Picks the content type to store for an imported clip: the declared one when it is audio, otherwise one from the extension.
+    /// </summary>
+    /// <returns>The content type, or null when the file isn't a supported audio format</returns>
+    public static string? GetAudioContentType(string fileName, string? declaredContentType)
+    {
+        if (!string.IsNullOrWhiteSpace(declaredContentType) && declaredContentType.StartsWith("audio/", StringComparison.OrdinalIgnoreCase))
+            return declaredContentType.ToLowerInvariant();
+
+        return ContentTypesByExtension.TryGetValue(Path.GetExtension(fileName), out string? contentType) ? contentType : null;
+    }
+
+    /// <summary>
+    /// Marks clips that already exist in the app or appear earlier in the same archive, and selects the rest for import.
+    /// Items already marked <see cref="SoundboardImportStatus.Invalid"/> are left alone.
+    /// </summary>
+    /// <param name="items">The preview items, with <see cref="SoundboardImportItem.Hash"/> filled in</param>
+    /// <param name="existingPersonIdByHash">The owner of each active clip whose hash matches one in the archive</param>
+    public static void ApplyDuplicateStatus(IEnumerable<SoundboardImportItem> items, IReadOnlyDictionary<string, string> existingPersonIdByHash)
+    {
+        HashSet<string> seen = new HashSet<string>();
+        foreach (SoundboardImportItem item in items)
+        {
+            if (item.Status == SoundboardImportStatus.Invalid || item.Hash == null)
+            {
+                item.Selected = false;
+                continue;
+            }
+
+            if (existingPersonIdByHash.TryGetValue(item.Hash, out string? personId))
+            {
+                item.Status = SoundboardImportStatus.AlreadyExists;
+                item.ExistingPersonId = personId;
+            }
+            else if (!seen.Add(item.Hash))
+            {
+                item.Status = SoundboardImportStatus.DuplicateInArchive;
+            }
+            else
+            {
+                item.Status = SoundboardImportStatus.New;
+            }
+
+            item.Selected = item.Status == SoundboardImportStatus.New;
+        }
+    }
+
+    private static string ToFileStem(string? name, string fallback)
+    {
+        string stem = Regex.Replace(name ?? string.Empty, @"[^\w\-]+", "-").Trim('-');
+        if (stem.Length == 0)
+            return fallback;
+        return stem.Length > 60 ? stem[..60] : stem;
+    }
+}
@@ -0,0 +1,65 @@
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for turning soundboard playback events into button state.
+/// </summary>
+public static class SoundboardPlaybackHelpers
+{
+    /// <summary>
+    /// Works out a clip's new state from a playback event.
+    /// </summary>
+    /// <param name="current">The clip's current state, or null when it is idle</param>
+    /// <param name="playbackEvent">The event from soundboard.js</param>
+    /// <returns>The new state, or null when the clip is idle again</returns>
+    public static ClipPlaybackState? Apply(ClipPlaybackState? current, SoundPlaybackEvent playbackEvent)
+    {
+        switch (playbackEvent.State)
+        {
+            case "loading":
+                return new ClipPlaybackState { Status = ClipPlaybackStatus.Loading, Duration = playbackEvent.Duration };
+            case "playing":
+            case "progress":
+                // Events are delivered asynchronously, so a late progress report can arrive after the clip ended
+                if (playbackEvent.State == "progress" && current?.Status is not (ClipPlaybackStatus.Loading or ClipPlaybackStatus.Playing))
+                    return current;
+
+                return new ClipPlaybackState
+                {
+                    Status = ClipPlaybackStatus.Playing,
+                    Position = Math.Max(0, playbackEvent.Position ?? 0),
+                    Duration = playbackEvent.Duration > 0 ? playbackEvent.Duration : current?.Duration
+                };
+            case "error":
+                return new ClipPlaybackState
+                {
+                    Status = ClipPlaybackStatus.Error,
+                    Error = string.IsNullOrWhiteSpace(playbackEvent.Error) ? "The clip could not be played" : playbackEvent.Error
+                };
+            case "ended":
+                return null;
+            default:
+                return current;
+        }
+    }
+
+    /// <summary>
+    /// How far through the clip playback is, from 0 to 1, or null when the length isn't known yet.
+    /// </summary>
+    public static double? GetProgress(ClipPlaybackState state)
+    {
+        if (state.Duration is not > 0)
+            return null;
+        return Math.Clamp(state.Position / state.Duration.Value, 0, 1);
+    }
+
+    /// <summary>
+    /// Formats seconds as m:ss, e.g. 3.4 becomes "0:03".
+    /// </summary>
+    public static string FormatElapsed(double seconds)
+    {
+        TimeSpan time = TimeSpan.FromSeconds(Math.Max(0, Math.Floor(seconds)));
+        return time.TotalHours >= 1 ? time.ToString(@"h\:mm\:ss") : $"{(int)time.TotalMinutes}:{time.Seconds:D2}";
+    }
+}
@@ -0,0 +1,60 @@
+using System.Text.RegularExpressions;
+using MovieReviewApp.Models;
+
+namespace MovieReviewApp.Utilities;
+
+/// <summary>
+/// Shared utilities for turning quotes from session analysis into soundboard clips.
+/// </summary>
+public static class SoundboardQuoteHelpers
+{
+    public const int MaxFileNameWords = 8;
+    public const int MaxFileNameLength = 60;
+
+    /// <summary>
+    /// Finds the person a quote's speaker refers to: an exact name match first, then a first name
+    /// that only one person shares (the analysis sometimes writes "Alex" for "Alex Smith" or the other way round).
+    /// </summary>
+    /// <returns>The person, or null for group quotes ("Multiple") and names that match nobody or several people</returns>
+    public static Person? MatchSpeaker(string? speaker, IEnumerable<Person> people)
+    {
+        string name = speaker?.Trim() ?? string.Empty;
+        if (name.Length == 0)
+            return null;
+
+        List<Person> named = people.Where(p => !string.IsNullOrWhiteSpace(p.Name)).ToList();
+
+        Person? exact = named.FirstOrDefault(p => string.Equals(p.Name!.Trim(), name, StringComparison.OrdinalIgnoreCase));
+        if (exact != null)
+            return exact;
+
+        string firstName = GetFirstName(name);
+        List<Person> byFirstName = named
+            .Where(p => string.Equals(GetFirstName(p.Name!), firstName, StringComparison.OrdinalIgnoreCase))
+            .ToList();
+        return byFirstName.Count == 1 ? byFirstName[0] : null;
+    }
+
+    /// <summary>
+    /// The upload name for a quote clip, e.g. "Alex - That's a plot hole.wav", using the first few words of the quote.
+    /// </summary>
+    public static string BuildClipFileName(string? speaker, string? quote)
+    {
+        string[] words = Regex.Split(quote?.Trim().Trim('"') ?? string.Empty, @"\s+")
+            .Where(w => w.Length > 0)
+            .Take(MaxFileNameWords)
+            .ToArray();
+
+        string name = string.IsNullOrWhiteSpace(speaker) ? string.Join(' ', words) : $"{speaker.Trim()} - {string.Join(' ', words)}";
+        name = Regex.Replace(name, @"[\\/:*?""<>|]", "-").Trim(' ', '-', '.');
+        if (name.Length > MaxFileNameLength)
+            name = name[..MaxFileNameLength].TrimEnd(' ', '-', '.');
+
+        return (name.Length == 0 ? "Quote" : name) + ".wav";
+    }
+
+    private static string GetFirstName(string name)
+    {
+        return name.Trim().Split(' ', 2)[0];
+    }
+}
@@ -1,20 +1,56 @@
 // Audio Player JavaScript functions
 
-window.playAudioClip = function(audioUrl) {
+// Clip player modal: a waveform with the quote highlighted, seeking, playback speed and keyboard shortcuts.
+// quote is optional - { timestamp, startSeconds, endSeconds, contextBefore, contextAfter } as for the soundboard helpers
+// below, plus speaker and text for the lock screen controls. With sessionId and sourceFile too, seeking past either
+// end of the clip swaps in a wider cut of the session recording from /api/clip/context.
+const CLIP_SEEK_SHORT_SECONDS = 5;
+const CLIP_SEEK_LONG_SECONDS = 15;
+const CLIP_PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+let clipPlayer = null; // { url, quote, buffer, peaks, region, frame, widening } for the clip in the modal
+let clipPlaybackRate = 1; // Kept between clips
+let clipPlayerListening = false;
+const clipPlayerAudioElements = new WeakSet();
+
+window.playAudioClip = function(audioUrl, quote) {
     try {
         // Get the audio player element
         const audioPlayer = document.getElementById('audioPlayer');
-        if (!audioPlayer) {
+        const modalElement = document.getElementById('audioPlayerModal');
+        if (!audioPlayer || !modalElement) {
             return;
         }
 
+        interruptCountdownEntry();
+        listenToClipPlayer();
+        watchClipPlayerAudio(audioPlayer);
+
         // Set the source and show the modal
+        const player = { url: audioUrl, quote: quote || null, buffer: null, peaks: null, region: null, frame: null, widening: null };
+        clipPlayer = player;
         audioPlayer.src = audioUrl;
-        
+        setClipPlaybackRate(audioPlayer, clipPlaybackRate);
+        updateClipPlayerReadout(audioPlayer);
+        loadClipWaveform(player);
+
+        // mediaSession.js
+        window.setMediaSessionTrack('clip', getClipMediaTrack(player.quote?.text, player.quote?.speaker), {
+            play: () => {
+                if (audioPlayer.paused) toggleClip(audioPlayer);
+            },
+            pause: () => audioPlayer.pause(),
+            stop: () => bootstrap.Modal.getOrCreateInstance(modalElement).hide(),
+            seekbackward: details => window.seekMediaSessionAudio(audioPlayer, details, CLIP_SEEK_SHORT_SECONDS),
+            seekforward: details => window.seekMediaSessionAudio(audioPlayer, details, CLIP_SEEK_SHORT_SECONDS),
+            seekto: details => window.seekMediaSessionAudio(audioPlayer, details, CLIP_SEEK_SHORT_SECONDS)
+        });
+
         // Show the modal using Bootstrap
-        const modal = new bootstrap.Modal(document.getElementById('audioPlayerModal'));
-        modal.show();
-        
+        bootstrap.Modal.getOrCreateInstance(modalElement).show();
+
+        // The canvas has no size until the modal is visible
+        modalElement.addEventListener('shown.bs.modal', drawClipWaveform, { once: true });
+
         // Auto-play when modal is shown (with user gesture)
         audioPlayer.addEventListener('loadeddata', function() {
             if (audioPlayer.readyState >= 3) {
@@ -22,18 +58,334 @@ window.playAudioClip = function(audioUrl) {
                 });
             }
         }, { once: true });
-        
+
         // Clean up when modal is hidden
-        document.getElementById('audioPlayerModal').addEventListener('hidden.bs.modal', function() {
+        modalElement.addEventListener('hidden.bs.modal', function() {
             audioPlayer.pause();
             audioPlayer.currentTime = 0;
+            if (clipPlayer === player) {
+                stopClipPlayhead();
+                clipPlayer = null;
+                window.clearMediaSessionTrack('clip');
+            }
         }, { once: true });
-        
+
     } catch (error) {
         alert('Unable to play audio clip. Please try again.');
     }
 };
 
+// Lock screen details for a clip: the quote and speaker, with the movie and poster the page put on the modal
+function getClipMediaTrack(title, artist) {
+    const modalElement = document.getElementById('audioPlayerModal');
+    return {
+        title: title || 'Audio clip',
+        artist: artist || '',
+        album: modalElement?.dataset.mediaAlbum || '',
+        artwork: modalElement?.dataset.mediaArtwork || null
+    };
+}
+
+// Decode the clip for the waveform; playback doesn't wait for it
+async function loadClipWaveform(player) {
+    try {
+        const buffer = await decodeWaveformSource(player.url); // waveformEditor.js
+        if (clipPlayer !== player) return;
+
+        player.buffer = buffer;
+        if (player.quote && getQuoteStartSeconds(player.quote) !== null) {
+            player.region = getQuoteClipRegion({ ...player.quote, padBefore: 0, padAfter: 0 }, buffer.duration);
+        }
+        const quoteButton = document.querySelector('#audioPlayerModal [data-clip-quote]');
+        if (quoteButton) {
+            quoteButton.hidden = !player.region;
+        }
+        drawClipWaveform();
+    } catch (error) {
+        // No waveform for this clip - the audio element still plays it
+    }
+}
+
+function drawClipWaveform() {
+    const canvas = document.getElementById('audioPlayerWaveform');
+    const audio = document.getElementById('audioPlayer');
+    if (!canvas || !audio || !clipPlayer || !clipPlayer.buffer) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (width === 0 || height === 0) return;
+
+    if (canvas.width !== width || canvas.height !== height || !clipPlayer.peaks) {
+        canvas.width = width;
+        canvas.height = height;
+        clipPlayer.peaks = computeWaveformPeaks(clipPlayer.buffer, width); // waveformEditor.js
+    }
+
+    const ctx = canvas.getContext('2d');
+    const styles = getComputedStyle(canvas);
+    const playedColor = styles.getPropertyValue('--accent-primary').trim() || '#0d6efd';
+    const unplayedColor = styles.getPropertyValue('--text-secondary').trim() || '#adb5bd';
+    const duration = clipPlayer.buffer.duration;
+    const middle = height / 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // The quote itself, between the clip's leading and trailing context
+    if (clipPlayer.region) {
+        const startX = clipPlayer.region.start / duration * width;
+        const endX = clipPlayer.region.end / duration * width;
+        ctx.fillStyle = 'rgba(255, 193, 7, 0.2)';
+        ctx.fillRect(startX, 0, endX - startX, height);
+        ctx.fillStyle = '#ffc107';
+        ctx.fillRect(startX, 0, ratio, height);
+        ctx.fillRect(endX - ratio, 0, ratio, height);
+    }
+
+    const playheadX = Math.min(width, audio.currentTime / duration * width);
+    clipPlayer.peaks.forEach((peak, x) => {
+        const top = middle - peak.max * middle;
+        const bottom = middle - peak.min * middle;
+        ctx.fillStyle = x < playheadX ? playedColor : unplayedColor;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    });
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(playheadX - ratio / 2, 0, ratio, height);
+}
+
+// Elapsed/total within the clip, plus where that is in the session when the quote's start is known
+function updateClipPlayerReadout(audio) {
+    const time = document.getElementById('audioPlayerTime');
+    if (time) {
+        time.textContent = `${window.formatTime(audio.currentTime)} / ${window.formatTime(audio.duration)}`;
+    }
+
+    const sessionTime = document.getElementById('audioPlayerSessionTime');
+    if (sessionTime) {
+        const quoteStart = clipPlayer && clipPlayer.quote ? getQuoteStartSeconds(clipPlayer.quote) : null;
+        sessionTime.textContent = quoteStart === null
+            ? ''
+            : `${window.formatTime(quoteStart - Math.min(clipPlayer.quote.contextBefore || 0, quoteStart) + audio.currentTime)} in the session`;
+    }
+}
+
+function startClipPlayhead() {
+    const player = clipPlayer;
+    const audio = document.getElementById('audioPlayer');
+    if (!player || !audio) return;
+
+    cancelAnimationFrame(player.frame);
+    const tick = () => {
+        drawClipWaveform();
+        if (clipPlayer === player && !audio.paused) {
+            player.frame = requestAnimationFrame(tick);
+        }
+    };
+    tick();
+}
+
+function stopClipPlayhead() {
+    if (!clipPlayer) return;
+
+    cancelAnimationFrame(clipPlayer.frame);
+    clipPlayer.frame = null;
+    drawClipWaveform();
+}
+
+// Attach once per audio element - Blazor renders a fresh one each time the page is visited
+function watchClipPlayerAudio(audio) {
+    if (clipPlayerAudioElements.has(audio)) return;
+    clipPlayerAudioElements.add(audio);
+
+    audio.addEventListener('play', startClipPlayhead);
+    audio.addEventListener('pause', stopClipPlayhead);
+    audio.addEventListener('ended', stopClipPlayhead);
+    audio.addEventListener('seeked', drawClipWaveform);
+    ['play', 'pause', 'ended', 'seeked', 'ratechange', 'loadedmetadata'].forEach(type => {
+        audio.addEventListener(type, () => {
+            if (clipPlayer) {
+                window.setMediaSessionState('clip', audio.paused ? 'paused' : 'playing', audio);
+            }
+        });
+    });
+    ['loadedmetadata', 'timeupdate', 'seeked'].forEach(type => {
+        audio.addEventListener(type, () => updateClipPlayerReadout(audio));
+    });
+}
+
+async function seekClip(audio, seconds) {
+    if (!Number.isFinite(audio.duration)) return;
+
+    const target = audio.currentTime + seconds;
+    if ((target < 0 || target > audio.duration) && clipPlayer) {
+        await widenClipContext(clipPlayer, audio);
+    }
+    if (!Number.isFinite(audio.duration)) return;
+    audio.currentTime = Math.max(0, Math.min(audio.duration, audio.currentTime + seconds));
+}
+
+// Swap the clip for a cut of the session with more context either side, keeping the playhead on the same moment.
+// Only tried once per clip; resolves when the wider clip is playable, or straight away if there isn't one.
+function widenClipContext(player, audio) {
+    const quote = player.quote;
+    const quoteStart = quote ? getQuoteStartSeconds(quote) : null;
+    if (!player.widening) {
+        player.widening = quote && quote.sessionId && quote.sourceFile && quoteStart !== null && typeof quote.endSeconds === 'number'
+            ? loadWideClipContext(player, audio, quoteStart)
+            : Promise.resolve();
+    }
+    return player.widening;
+}
+
+async function loadWideClipContext(player, audio, quoteStart) {
+    const quote = player.quote;
+    try {
+        const query = new URLSearchParams({
+            sessionId: quote.sessionId,
+            sourceFile: quote.sourceFile,
+            start: quoteStart,
+            end: quote.endSeconds
+        });
+        const response = await fetch(`/api/clip/context?${query}`);
+        if (!response.ok || clipPlayer !== player) return;
+
+        const clip = await response.json();
+        if (clipPlayer !== player) return;
+
+        // Where the playhead is in the session, before the clip under it changes
+        const clipStart = quoteStart - Math.min(quote.contextBefore || 0, quoteStart);
+        const sessionTime = clipStart + audio.currentTime;
+        const wasPlaying = !audio.paused;
+
+        player.url = clip.url;
+        player.quote = { ...quote, contextBefore: quoteStart - clip.startSeconds };
+        player.buffer = null;
+        player.peaks = null;
+        player.region = null;
+
+        await new Promise((resolve, reject) => {
+            audio.addEventListener('loadedmetadata', resolve, { once: true });
+            audio.addEventListener('error', reject, { once: true });
+            audio.src = clip.url;
+        });
+        audio.currentTime = Math.max(0, sessionTime - clip.startSeconds);
+        if (wasPlaying) {
+            toggleClip(audio);
+        }
+        loadClipWaveform(player);
+    } catch (error) {
+        // Keep seeking within the clip we have
+    }
+}
+
+function toggleClip(audio) {
+    if (audio.paused) {
+        audio.play().catch(() => {
+            // Not loaded yet or playback blocked
+        });
+    } else {
+        audio.pause();
+    }
+}
+
+function setClipPlaybackRate(audio, rate) {
+    clipPlaybackRate = rate;
+    audio.defaultPlaybackRate = rate;
+    audio.playbackRate = rate;
+
+    const select = document.getElementById('audioPlayerRate');
+    if (select) {
+        select.value = String(rate);
+    }
+}
+
+function stepClipPlaybackRate(audio, step) {
+    const index = CLIP_PLAYBACK_RATES.indexOf(clipPlaybackRate);
+    const next = Math.max(0, Math.min(CLIP_PLAYBACK_RATES.length - 1, (index === -1 ? 1 : index) + step));
+    setClipPlaybackRate(audio, CLIP_PLAYBACK_RATES[next]);
+}
+
+// Delegated from the document so the controls keep working when Blazor re-renders the modal
+function listenToClipPlayer() {
+    if (clipPlayerListening) return;
+    clipPlayerListening = true;
+
+    document.addEventListener('click', e => {
+        const audio = document.getElementById('audioPlayer');
+        if (!audio || !clipPlayer || !(e.target instanceof Element)) return;
+
+        const seekButton = e.target.closest('#audioPlayerModal [data-clip-seek]');
+        if (seekButton) {
+            seekClip(audio, parseFloat(seekButton.dataset.clipSeek));
+        } else if (e.target.closest('#audioPlayerModal [data-clip-toggle]')) {
+            toggleClip(audio);
+        } else if (e.target.closest('#audioPlayerModal [data-clip-quote]') && clipPlayer.region) {
+            audio.currentTime = clipPlayer.region.start;
+            if (audio.paused) {
+                toggleClip(audio);
+            }
+        } else if (e.target.id === 'audioPlayerWaveform' && Number.isFinite(audio.duration)) {
+            const rect = e.target.getBoundingClientRect();
+            audio.currentTime = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * audio.duration;
+        }
+    });
+
+    document.addEventListener('change', e => {
+        const audio = document.getElementById('audioPlayer');
+        if (audio && e.target.id === 'audioPlayerRate') {
+            setClipPlaybackRate(audio, parseFloat(e.target.value));
+        }
+    });
+
+    document.addEventListener('keydown', handleClipPlayerKey);
+    window.addEventListener('resize', drawClipWaveform);
+}
+
+// Space/K play or pause, arrows seek 5s, J/L seek 15s, up/down change speed
+function handleClipPlayerKey(e) {
+    const modalElement = document.getElementById('audioPlayerModal');
+    const audio = document.getElementById('audioPlayer');
+    if (!clipPlayer || !modalElement || !audio || !modalElement.classList.contains('show')) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    // Leave the speed picker and any buttons to the browser's own keyboard handling
+    const target = e.target instanceof Element ? e.target : null;
+    if (target && target.closest('input, select, textarea, [contenteditable="true"]')) return;
+    if (e.key === ' ' && target && target.closest('button')) return;
+
+    switch (e.key) {
+        case ' ':
+        case 'k':
+        case 'K':
+            toggleClip(audio);
+            break;
+        case 'ArrowLeft':
+            seekClip(audio, -CLIP_SEEK_SHORT_SECONDS);
+            break;
+        case 'ArrowRight':
+            seekClip(audio, CLIP_SEEK_SHORT_SECONDS);
+            break;
+        case 'j':
+        case 'J':
+            seekClip(audio, -CLIP_SEEK_LONG_SECONDS);
+            break;
+        case 'l':
+        case 'L':
+            seekClip(audio, CLIP_SEEK_LONG_SECONDS);
+            break;
+        case 'ArrowUp':
+            stepClipPlaybackRate(audio, 1);
+            break;
+        case 'ArrowDown':
+            stepClipPlaybackRate(audio, -1);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+}
+
 // Helper function to format time for display
 window.formatTime = function(seconds) {
     if (isNaN(seconds) || seconds < 0) return '0:00';
@@ -58,4 +410,217 @@ window.parseTimestamp = function(timestamp) {
     }
 };
 
+// Quote clips from session analysis carry a few seconds of context either side of the quote
+// (quote.contextBefore/contextAfter). These helpers cut a quote out of its clip with adjustable
+// padding and add it to a soundboard.
+const QUOTE_EDGE_FADE_SECONDS = 0.03; // Avoids clicks where the cut lands mid-waveform
+let quotePreview = null;
+
+// When the quote starts in the session recording, or null if neither its start time nor a timestamp is known
+function getQuoteStartSeconds(quote) {
+    if (typeof quote.startSeconds === 'number') return quote.startSeconds;
+    if (!quote.timestamp) return null;
+
+    const seconds = window.parseTimestamp(quote.timestamp);
+    return Number.isFinite(seconds) ? seconds : null;
+}
+
+// Where the quote (plus padding) sits inside its clip, in seconds
+function getQuoteClipRegion(quote, clipDuration) {
+    const quoteStart = getQuoteStartSeconds(quote);
+    if (quoteStart === null) return { start: 0, end: clipDuration };
+
+    // Clips are cut from max(0, start - context), so quotes near the start of a recording have less lead-in
+    const quoteOffset = Math.min(quote.contextBefore, quoteStart);
+    const quoteEnd = typeof quote.endSeconds === 'number'
+        ? quoteOffset + Math.max(0, quote.endSeconds - quoteStart)
+        : clipDuration - quote.contextAfter;
+
+    const start = Math.max(0, quoteOffset - quote.padBefore);
+    const end = Math.min(clipDuration, Math.max(quoteEnd, quoteOffset) + quote.padAfter);
+    return end > start ? { start, end } : { start: 0, end: clipDuration };
+}
+
+// Play just the region that would be added
+window.previewQuoteClip = function(url, quote) {
+    window.stopQuoteClipPreview();
+
+    const audio = new Audio(url);
+    const preview = { audio, timer: null };
+    quotePreview = preview;
+
+    audio.addEventListener('loadedmetadata', () => {
+        const region = getQuoteClipRegion(quote, audio.duration);
+        audio.currentTime = region.start;
+        audio.addEventListener('playing', () => {
+            clearTimeout(preview.timer);
+            preview.timer = setTimeout(() => {
+                if (quotePreview === preview) window.stopQuoteClipPreview();
+            }, Math.max(0, region.end - audio.currentTime) * 1000);
+        });
+        audio.play().catch(() => {
+            // Playback blocked or the clip is gone - nothing to preview
+        });
+    }, { once: true });
+};
+
+window.stopQuoteClipPreview = function() {
+    if (!quotePreview) return;
+
+    clearTimeout(quotePreview.timer);
+    quotePreview.audio.pause();
+    quotePreview = null;
+};
+
+// Cut the quote out of its clip in the browser and upload it through the regular soundboard upload
+window.addQuoteToSoundboard = async function(url, quote, personId, fileName, description) {
+    const buffer = await decodeWaveformSource(url); // waveformEditor.js
+    const region = getQuoteClipRegion(quote, buffer.duration);
+    const fade = Math.min(QUOTE_EDGE_FADE_SECONDS, (region.end - region.start) / 4);
+    const slice = await renderAudioRegion(buffer, region.start, region.end, fade, fade);
+
+    const file = new File([slice], fileName, { type: 'audio/wav' });
+    return await window.uploadSoundFile(personId, file, description);
+};
+
+// Top Five countdown - plays one entry at a time for TopFiveDisplay, which owns the queue and calls
+// OnCountdownEntryEnded(key) on dotNetHelper to move on. Entries without a playable clip stay on screen
+// for COUNTDOWN_READ_SECONDS instead. Lock screen buttons are sent back as OnCountdownCommand(key, command)
+// so the list's own controls stay in charge.
+const COUNTDOWN_READ_SECONDS = 6;
+let countdownEntry = null; // { key, dotNetHelper, audio, timer, remaining, startedAt }
+
+window.playCountdownEntry = function(key, url, dotNetHelper, track) {
+    // Only one list counts down at a time
+    if (countdownEntry && countdownEntry.dotNetHelper !== dotNetHelper) {
+        interruptCountdownEntry();
+    }
+    stopCountdownPlayback();
+
+    const entry = { key, dotNetHelper, audio: null, timer: null, remaining: COUNTDOWN_READ_SECONDS * 1000, startedAt: 0 };
+    countdownEntry = entry;
+    setCountdownMediaSession(entry, track);
+
+    if (!url) {
+        startCountdownTimer(entry);
+        return;
+    }
+
+    const audio = new Audio(url);
+    entry.audio = audio;
+    audio.onplay = () => window.setMediaSessionState('countdown', 'playing', audio);
+    audio.onpause = () => window.setMediaSessionState('countdown', 'paused', audio);
+    audio.onended = () => finishCountdownEntry(entry);
+    audio.onerror = () => {
+        // Missing clip - show the quote for as long as a text-only entry
+        entry.audio = null;
+        startCountdownTimer(entry);
+    };
+    audio.play().catch(() => {
+        // Load failures are handled by onerror
+    });
+};
+
+window.pauseCountdownEntry = function() {
+    const entry = countdownEntry;
+    if (!entry) return;
+
+    if (entry.audio) {
+        entry.audio.pause();
+    } else if (entry.timer) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+        window.setMediaSessionState('countdown', 'paused');
+    }
+};
+
+window.resumeCountdownEntry = function() {
+    const entry = countdownEntry;
+    if (!entry) return;
+
+    if (entry.audio) {
+        entry.audio.play().catch(() => {
+            // Playback blocked - the controls stay available to try again
+        });
+    } else if (!entry.timer) {
+        startCountdownTimer(entry);
+    }
+};
+
+// Only stops the entry this list started - another list may have taken over since
+window.stopCountdownEntry = function(key) {
+    if (countdownEntry && countdownEntry.key === key) {
+        stopCountdownPlayback();
+    }
+    if (!countdownEntry) {
+        window.clearMediaSessionTrack('countdown');
+    }
+};
+
+function startCountdownTimer(entry) {
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => finishCountdownEntry(entry), entry.remaining);
+    window.setMediaSessionState('countdown', 'playing');
+}
+
+function setCountdownMediaSession(entry, track) {
+    const seek = details => {
+        if (entry.audio) {
+            window.seekMediaSessionAudio(entry.audio, details, CLIP_SEEK_SHORT_SECONDS);
+        }
+    };
+    const command = name => () => notifyCountdown(entry, 'OnCountdownCommand', name);
+
+    window.setMediaSessionTrack('countdown', getClipMediaTrack(track?.title, track?.artist), {
+        play: command('resume'),
+        pause: command('pause'),
+        stop: command('stop'),
+        previoustrack: command('previous'),
+        nexttrack: command('next'),
+        seekbackward: seek,
+        seekforward: seek,
+        seekto: seek
+    });
+}
+
+function finishCountdownEntry(entry) {
+    if (countdownEntry !== entry) return;
+
+    stopCountdownPlayback();
+    notifyCountdown(entry, 'OnCountdownEntryEnded');
+}
+
+// Stop the countdown because something else is playing, and let its list know
+function interruptCountdownEntry() {
+    const entry = countdownEntry;
+    if (!entry) return;
+
+    stopCountdownPlayback();
+    window.clearMediaSessionTrack('countdown');
+    notifyCountdown(entry, 'OnCountdownInterrupted');
+}
+
+function stopCountdownPlayback() {
+    const entry = countdownEntry;
+    if (!entry) return;
+
+    countdownEntry = null;
+    clearTimeout(entry.timer);
+    if (entry.audio) {
+        entry.audio.onplay = null;
+        entry.audio.onpause = null;
+        entry.audio.onended = null;
+        entry.audio.onerror = null;
+        entry.audio.pause();
+    }
+}
+
+function notifyCountdown(entry, method, ...args) {
+    if (!entry.dotNetHelper) return;
+    entry.dotNetHelper.invokeMethodAsync(method, entry.key, ...args).catch(() => {
+        // Component was disposed
+    });
+}
+
 // Audio player visual feedback is now handled by soundboard.js for proper state management
\ No newline at end of file
@@ -1,106 +1,535 @@
-// Store active components to handle paste events
-let activeImageUploadComponents = new Set();
-
-window.initializePasteHandler = (dotNetHelper, componentId) => {
-    // Add this component to the active set
-    activeImageUploadComponents.add({ dotNetHelper, componentId });
-    
-    // Only add the document listener once
-    if (activeImageUploadComponents.size === 1) {
-        // Handle paste events
-        document.addEventListener('paste', async (e) => {
-            const clipboardItems = e.clipboardData.items;
-            
-            for (let i = 0; i < clipboardItems.length; i++) {
-                const item = clipboardItems[i];
-                
-                if (item.type.indexOf('image') !== -1) {
-                    e.preventDefault();
-                    const file = item.getAsFile();
-                    
-                    if (file) {
-                        
-                        // Check file size before processing (20MB limit)
-                        if (file.size > 20 * 1024 * 1024) {
-                            alert('Image is too large (max 20MB). Please use a smaller image.');
-                            return;
-                        }
-                        
-                        const base64Data = await fileToBase64(file);
-                        const base64String = base64Data.split(',')[1]; // Remove data:image/...;base64, prefix
-                        
-                        // Find the image upload component in the currently editing movie
-                        let targetComponent = null;
-                        
-                        // Look for a movie that's currently being edited (has form inputs visible)
-                        const editingMovieCard = document.querySelector('.card .form-group input[type="text"]')?.closest('.card');
-                        
-                        if (editingMovieCard) {
-                            // Find the image upload component within this editing card
-                            const editingContainer = editingMovieCard.querySelector('.image-upload-container');
-                            if (editingContainer) {
-                                const componentId = editingContainer.getAttribute('data-component-id');
-                                targetComponent = Array.from(activeImageUploadComponents).find(c => c.componentId === componentId);
-                            }
-                        }
-                        
-                        // Fallback to the most recently added component if no editing movie found
-                        if (!targetComponent && activeImageUploadComponents.size > 0) {
-                            targetComponent = Array.from(activeImageUploadComponents)[activeImageUploadComponents.size - 1];
-                        }
-                        
-                        if (targetComponent) {
-                            await targetComponent.dotNetHelper.invokeMethodAsync('HandlePastedImage', base64String, file.name || 'pasted-image.png');
-                        }
-                    }
-                    break;
-                }
+// Poster upload zones. Pastes and drops are routed here by pasteDropTargets.js, so with several movies
+// open each image goes to the poster the user is working on.
+// Picked, pasted and dropped images open in a 2:3 crop editor (PosterCropEditor); only the crop is
+// resized, re-encoded in the browser and posted to /api/image/upload.
+// Pasted image links - a bare URL, or the <img> in HTML copied from a web page - are shown to the
+// component for confirmation and then fetched by the server through /api/image/upload-from-url.
+// Several images at once open a gallery (PosterDropGallery) for sharing them out between the posters on
+// the page; each one then opens in the crop editor of the movie it was given to.
+const MAX_IMAGE_UPLOAD_BYTES = 20 * 1024 * 1024;
+const POSTER_ASPECT = 2 / 3; // Width over height, the shape of every movie card
+const POSTER_CROP_MAX_ZOOM = 5;
+const POSTER_CROP_NUDGE = 0.02; // Arrow keys move the frame by this share of its size
+
+const posterCropSources = new Map(); // id -> { file, image } waiting for or open in a crop editor
+let nextPosterCropId = 1;
+const posterCroppers = new WeakMap(); // stage canvas -> cropper state
+
+// Every poster on the page, so a gallery can offer them all; the container's data-poster-title and
+// data-poster-event say which movie each one belongs to
+const posterZones = new Map(); // element -> { id, dotNetHelper }
+let nextPosterZoneId = 1;
+const posterGalleries = new Map(); // id -> { files, urls } waiting to be shared out
+let nextPosterGalleryId = 1;
+
+window.initializeImageDropZone = (element, fileInput, dotNetHelper) => {
+    posterZones.set(element, { id: nextPosterZoneId++, dotNetHelper });
+
+    window.registerPasteDropTarget(element, {
+        accept: ['image/*'],
+        label: 'Drop image to use as the poster',
+        rejectLabel: 'Only images can be used as posters',
+        onFiles: files => receivePosterFiles(element, dotNetHelper, files),
+        onRejected: files => notifyImageUpload(dotNetHelper, 'OnFilesRejected', files.map(file => file.name || file.type || 'file')),
+        acceptText: (text, html) => !!getPastedImageUrl(text, html),
+        onText: (text, html) => handlePastedImageUrl(dotNetHelper, getPastedImageUrl(text, html))
+    });
+
+    if (fileInput) {
+        fileInput.onchange = () => {
+            const files = Array.from(fileInput.files);
+            fileInput.value = ''; // Picking the same files again should open them again
+            if (files.length > 0) {
+                receivePosterFiles(element, dotNetHelper, files);
             }
-        });
+        };
     }
+};
+
+window.disposeImageDropZone = (element, fileInput) => {
+    window.unregisterPasteDropTarget(element);
+    posterZones.delete(element);
+    if (fileInput) {
+        fileInput.onchange = null;
+    }
+};
+
+function receivePosterFiles(element, dotNetHelper, files) {
+    if (files.length === 1) {
+        holdPosterForCrop(dotNetHelper, files[0]);
+    } else {
+        openPosterGallery(element, dotNetHelper, files);
+    }
+}
+
+// Hold the images and describe them, with every poster they could go to, to the zone they were dropped on.
+// Its own poster is listed first.
+function openPosterGallery(element, dotNetHelper, files) {
+    const id = nextPosterGalleryId++;
+    const urls = files.map(file => URL.createObjectURL(file));
+    posterGalleries.set(id, { files, urls });
 
-    // Handle drag and drop
-    document.addEventListener('dragover', (e) => {
-        e.preventDefault();
+    const targets = Array.from(posterZones.entries())
+        .filter(([zoneElement]) => zoneElement.isConnected)
+        .sort(([a], [b]) => (a === element ? -1 : b === element ? 1 : 0))
+        .map(([zoneElement, zone]) => ({
+            zoneId: zone.id,
+            title: zoneElement.dataset.posterTitle || '',
+            eventLabel: zoneElement.dataset.posterEvent || '',
+            isDropZone: zoneElement === element
+        }));
+
+    notifyImageUpload(dotNetHelper, 'OnPosterGalleryReady', {
+        id,
+        images: files.map((file, index) => ({ index, fileName: file.name || `image ${index + 1}`, size: file.size, thumbnailUrl: urls[index] })),
+        targets
     });
+}
 
-    document.addEventListener('drop', async (e) => {
-        e.preventDefault();
-        
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            const file = files[0];
-            
-            if (file.type.indexOf('image') !== -1) {
-                const base64Data = await fileToBase64(file);
-                const base64String = base64Data.split(',')[1]; // Remove data:image/...;base64, prefix
-                
-                await dotNetHelper.invokeMethodAsync('HandleDroppedFiles', base64String, file.name);
-            }
+// assignments: [{ index, zoneId }] - each image opens in the crop editor of the poster it was given to.
+// Returns how many were handed out; posters closed since the gallery opened are skipped.
+window.assignPosterGallery = function(id, assignments) {
+    const gallery = posterGalleries.get(id);
+    if (!gallery) return 0;
+
+    let assigned = 0;
+    for (const { index, zoneId } of assignments) {
+        const file = gallery.files[index];
+        const zone = Array.from(posterZones.entries()).find(([element, z]) => z.id === zoneId && element.isConnected);
+        if (file && zone) {
+            holdPosterForCrop(zone[1].dotNetHelper, file);
+            assigned++;
         }
-    });
+    }
+
+    window.closePosterGallery(id);
+    return assigned;
 };
 
-window.cleanupPasteHandler = (componentId) => {
-    // Remove this component from the active set
-    activeImageUploadComponents.forEach(component => {
-        if (component.componentId === componentId) {
-            activeImageUploadComponents.delete(component);
+window.closePosterGallery = function(id) {
+    const gallery = posterGalleries.get(id);
+    if (!gallery) return;
+
+    gallery.urls.forEach(url => URL.revokeObjectURL(url));
+    posterGalleries.delete(id);
+};
+
+// Decode the image once and hand the component a description so it can open the crop editor
+async function holdPosterForCrop(dotNetHelper, file) {
+    if (file.size > MAX_IMAGE_UPLOAD_BYTES) {
+        notifyImageUpload(dotNetHelper, 'OnImageUploadFailed', 'Image is too large (max 20MB). Please use a smaller image.');
+        return;
+    }
+
+    try {
+        const image = await loadOrientedImage(file);
+        const id = nextPosterCropId++;
+        posterCropSources.set(id, { file, image });
+        notifyImageUpload(dotNetHelper, 'OnPosterCropReady', {
+            id,
+            fileName: file.name || 'pasted-image',
+            size: file.size,
+            width: image.width,
+            height: image.height
+        });
+    } catch (error) {
+        notifyImageUpload(dotNetHelper, 'OnImageUploadFailed', error.message || 'The image could not be read');
+    }
+}
+
+// The image a paste points at: the first <img> in copied HTML, else the pasted text if it's a web address.
+// Copied HTML is parsed into an inert document, so nothing in it loads or runs.
+function getPastedImageUrl(text, html) {
+    if (html) {
+        const images = new DOMParser().parseFromString(html, 'text/html').querySelectorAll('img[src]');
+        for (const image of images) {
+            const src = image.getAttribute('src').trim();
+            if (window.isHttpUrl(src) || /^data:image\//i.test(src)) return src;
         }
+    }
+    return window.isHttpUrl(text) ? text : null;
+}
+
+// Images embedded in the copied HTML are already here, so they go straight to the crop editor
+async function handlePastedImageUrl(dotNetHelper, url) {
+    if (!url.startsWith('data:')) {
+        notifyImageUpload(dotNetHelper, 'OnImageUrlPasted', url);
+        return;
+    }
+
+    try {
+        const blob = await (await fetch(url)).blob();
+        const extension = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+        await holdPosterForCrop(dotNetHelper, new File([blob], `pasted-image.${extension}`, { type: blob.type }));
+    } catch (error) {
+        notifyImageUpload(dotNetHelper, 'OnImageUploadFailed', 'The pasted image could not be read');
+    }
+}
+
+// Have the server download and store a pasted image link; returns the new image id
+window.uploadPosterFromUrl = async function(url) {
+    const response = await fetch('/api/image/upload-from-url', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url })
     });
+    if (!response.ok) {
+        throw new Error(await response.text() || response.statusText);
+    }
+
+    const result = await response.json();
+    return result.imageId;
 };
 
+// Attach a crop editor to a held image. The stage shows the whole image with a draggable 2:3 frame;
+// the preview canvas shows just the framed part, sized like a movie card.
+window.openPosterCropper = function(canvas, previewCanvas, zoomInput, id) {
+    window.closePosterCropper(canvas);
+
+    const source = posterCropSources.get(id);
+    if (!source) {
+        throw new Error('This image is no longer available - drop it again');
+    }
+
+    const cropper = {
+        id,
+        canvas,
+        previewCanvas,
+        zoomInput,
+        image: source.image,
+        zoom: 1,
+        centerX: source.image.width / 2,
+        centerY: source.image.height / 2,
+        drag: null,
+        frame: null,
+        listeners: []
+    };
+
+    const addListener = (target, type, handler, options) => {
+        target.addEventListener(type, handler, options);
+        cropper.listeners.push({ target, type, handler, options });
+    };
+
+    addListener(canvas, 'pointerdown', e => handleCropPointerDown(cropper, e));
+    addListener(canvas, 'pointermove', e => handleCropPointerMove(cropper, e));
+    addListener(canvas, 'pointerup', e => handleCropPointerUp(cropper, e));
+    addListener(canvas, 'pointercancel', e => handleCropPointerUp(cropper, e));
+    addListener(canvas, 'wheel', e => handleCropWheel(cropper, e), { passive: false });
+    addListener(canvas, 'keydown', e => handleCropKey(cropper, e));
+    addListener(window, 'resize', () => scheduleCropDraw(cropper));
+    if (zoomInput) {
+        zoomInput.min = '1';
+        zoomInput.max = String(POSTER_CROP_MAX_ZOOM);
+        zoomInput.step = '0.01';
+        zoomInput.value = '1';
+        addListener(zoomInput, 'input', () => setCropZoom(cropper, parseFloat(zoomInput.value)));
+    }
+    canvas.style.touchAction = 'none';
+
+    posterCroppers.set(canvas, cropper);
+    drawPosterCropper(cropper);
+};
+
+// Back to the largest 2:3 frame, centred
+window.resetPosterCrop = function(canvas) {
+    const cropper = posterCroppers.get(canvas);
+    if (!cropper) return;
+
+    cropper.centerX = cropper.image.width / 2;
+    cropper.centerY = cropper.image.height / 2;
+    setCropZoom(cropper, 1);
+};
+
+// Render the framed part at up to the poster limits, upload it and return what the component
+// needs for its size readout: { imageId, originalSize, uploadedSize, contentType, width, height }.
+// options: { maxWidth, maxHeight, quality } - the server's poster limits, quality from 0 to 1
+window.uploadPosterCrop = async function(canvas, options) {
+    const cropper = posterCroppers.get(canvas);
+    const source = cropper ? posterCropSources.get(cropper.id) : null;
+    if (!source) {
+        throw new Error('This image is no longer available - drop it again');
+    }
+
+    const crop = getCropRect(cropper);
+    const scale = Math.min(1, options.maxWidth / crop.width, options.maxHeight / crop.height);
+    const width = Math.max(1, Math.round(crop.width * scale));
+    const height = Math.max(1, Math.round(width / POSTER_ASPECT));
+
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = '#ffffff'; // JPEG has no transparency
+    ctx.fillRect(0, 0, width, height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source.image.element, crop.x, crop.y, crop.width, crop.height, 0, 0, width, height);
+
+    // Browsers that can't encode WebP silently hand back a PNG instead
+    let blob = await canvasToBlob(output, 'image/webp', options.quality);
+    if (!blob || blob.type !== 'image/webp') {
+        blob = await canvasToBlob(output, 'image/jpeg', options.quality);
+    }
+    if (!blob) {
+        throw new Error('This browser could not compress the image');
+    }
+
+    const stem = (source.file.name || 'poster').replace(/\.[^.]+$/, '');
+    const formData = new FormData();
+    formData.append('file', blob, `${stem}.${blob.type === 'image/webp' ? 'webp' : 'jpg'}`);
+    formData.append('clientOptimized', 'true'); // Lets the server keep the encode instead of redoing it
+    const response = await fetch('/api/image/upload', {
+        method: 'POST',
+        body: formData
+    });
+    if (!response.ok) {
+        throw new Error(await response.text() || response.statusText);
+    }
+
+    const result = await response.json();
+    return {
+        imageId: result.imageId,
+        originalSize: source.file.size,
+        uploadedSize: blob.size,
+        contentType: blob.type,
+        width,
+        height
+    };
+};
+
+// Detach the editor from its canvas and free the decoded image it was opened on
+window.closePosterCropper = function(canvas, id) {
+    const cropper = canvas ? posterCroppers.get(canvas) : null;
+    if (cropper) {
+        cancelAnimationFrame(cropper.frame);
+        cropper.listeners.forEach(({ target, type, handler, options }) => target.removeEventListener(type, handler, options));
+        posterCroppers.delete(canvas);
+    }
+
+    const source = posterCropSources.get(id);
+    if (source) {
+        source.image.close();
+        posterCropSources.delete(id);
+    }
+};
+
+// The largest 2:3 rectangle that fits the image, shrunk by the zoom and kept inside the image
+function getCropRect(cropper) {
+    const image = cropper.image;
+    const fullWidth = Math.min(image.width, image.height * POSTER_ASPECT);
+    const width = fullWidth / cropper.zoom;
+    const height = width / POSTER_ASPECT;
+
+    cropper.centerX = Math.max(width / 2, Math.min(image.width - width / 2, cropper.centerX));
+    cropper.centerY = Math.max(height / 2, Math.min(image.height - height / 2, cropper.centerY));
+    return { x: cropper.centerX - width / 2, y: cropper.centerY - height / 2, width, height };
+}
+
+// Where the image sits on the stage: scaled to fit and centred
+function getStageLayout(cropper) {
+    const canvas = cropper.canvas;
+    const scale = Math.min(canvas.width / cropper.image.width, canvas.height / cropper.image.height);
+    return {
+        scale,
+        offsetX: (canvas.width - cropper.image.width * scale) / 2,
+        offsetY: (canvas.height - cropper.image.height * scale) / 2
+    };
+}
+
+function getStagePoint(cropper, e) {
+    const rect = cropper.canvas.getBoundingClientRect();
+    const layout = getStageLayout(cropper);
+    const x = (e.clientX - rect.left) * (cropper.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (cropper.canvas.height / rect.height);
+    return { x: (x - layout.offsetX) / layout.scale, y: (y - layout.offsetY) / layout.scale };
+}
+
+function setCropZoom(cropper, zoom) {
+    if (!Number.isFinite(zoom)) return;
+    cropper.zoom = Math.max(1, Math.min(POSTER_CROP_MAX_ZOOM, zoom));
+    if (cropper.zoomInput) {
+        cropper.zoomInput.value = String(cropper.zoom);
+    }
+    scheduleCropDraw(cropper);
+}
+
+function handleCropPointerDown(cropper, e) {
+    const point = getStagePoint(cropper, e);
+    const crop = getCropRect(cropper);
+    const inside = point.x >= crop.x && point.x <= crop.x + crop.width && point.y >= crop.y && point.y <= crop.y + crop.height;
+
+    // Grabbing outside the frame jumps it there first, so the drag always moves the frame
+    if (!inside) {
+        cropper.centerX = point.x;
+        cropper.centerY = point.y;
+        scheduleCropDraw(cropper);
+    }
+
+    cropper.drag = { x: point.x, y: point.y, centerX: cropper.centerX, centerY: cropper.centerY };
+    cropper.canvas.setPointerCapture(e.pointerId);
+    cropper.canvas.style.cursor = 'grabbing';
+    cropper.canvas.focus();
+    e.preventDefault();
+}
+
+function handleCropPointerMove(cropper, e) {
+    if (!cropper.drag) {
+        const point = getStagePoint(cropper, e);
+        const crop = getCropRect(cropper);
+        const inside = point.x >= crop.x && point.x <= crop.x + crop.width && point.y >= crop.y && point.y <= crop.y + crop.height;
+        cropper.canvas.style.cursor = inside ? 'grab' : 'crosshair';
+        return;
+    }
+
+    const point = getStagePoint(cropper, e);
+    cropper.centerX = cropper.drag.centerX + (point.x - cropper.drag.x);
+    cropper.centerY = cropper.drag.centerY + (point.y - cropper.drag.y);
+    scheduleCropDraw(cropper);
+}
+
+function handleCropPointerUp(cropper, e) {
+    if (!cropper.drag) return;
+
+    cropper.drag = null;
+    cropper.canvas.style.cursor = 'grab';
+    if (cropper.canvas.hasPointerCapture(e.pointerId)) {
+        cropper.canvas.releasePointerCapture(e.pointerId);
+    }
+}
+
+function handleCropWheel(cropper, e) {
+    e.preventDefault();
+    setCropZoom(cropper, cropper.zoom * Math.exp(-e.deltaY * 0.0015));
+}
+
+function handleCropKey(cropper, e) {
+    const crop = getCropRect(cropper);
+    const step = crop.width * POSTER_CROP_NUDGE * (e.shiftKey ? 5 : 1);
+    switch (e.key) {
+        case 'ArrowLeft': cropper.centerX -= step; break;
+        case 'ArrowRight': cropper.centerX += step; break;
+        case 'ArrowUp': cropper.centerY -= step; break;
+        case 'ArrowDown': cropper.centerY += step; break;
+        case '+': case '=': setCropZoom(cropper, cropper.zoom * 1.1); break;
+        case '-': case '_': setCropZoom(cropper, cropper.zoom / 1.1); break;
+        default: return;
+    }
+    e.preventDefault();
+    scheduleCropDraw(cropper);
+}
+
+// Dragging fires far more often than the screen refreshes
+function scheduleCropDraw(cropper) {
+    if (cropper.frame) return;
+    cropper.frame = requestAnimationFrame(() => {
+        cropper.frame = null;
+        drawPosterCropper(cropper);
+    });
+}
+
+// Match a canvas backing store to its displayed size for crisp drawing
+function fitCanvasToDisplay(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round((canvas.clientWidth || canvas.width) * ratio);
+    const height = Math.round((canvas.clientHeight || canvas.height) * ratio);
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+}
+
+function drawPosterCropper(cropper) {
+    const canvas = cropper.canvas;
+    fitCanvasToDisplay(canvas);
+    const ctx = canvas.getContext('2d');
+    const layout = getStageLayout(cropper);
+    const crop = getCropRect(cropper);
+    const ratio = window.devicePixelRatio || 1;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(cropper.image.element, layout.offsetX, layout.offsetY,
+        cropper.image.width * layout.scale, cropper.image.height * layout.scale);
+
+    const frameX = layout.offsetX + crop.x * layout.scale;
+    const frameY = layout.offsetY + crop.y * layout.scale;
+    const frameWidth = crop.width * layout.scale;
+    const frameHeight = crop.height * layout.scale;
+
+    // Shade what gets cut away
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.beginPath();
+    ctx.rect(0, 0, canvas.width, canvas.height);
+    ctx.rect(frameX, frameY, frameWidth, frameHeight);
+    ctx.fill('evenodd');
+
+    // Frame with rule-of-thirds guides
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    ctx.lineWidth = ratio;
+    ctx.beginPath();
+    for (let i = 1; i < 3; i++) {
+        ctx.moveTo(frameX + frameWidth * i / 3, frameY);
+        ctx.lineTo(frameX + frameWidth * i / 3, frameY + frameHeight);
+        ctx.moveTo(frameX, frameY + frameHeight * i / 3);
+        ctx.lineTo(frameX + frameWidth, frameY + frameHeight * i / 3);
+    }
+    ctx.stroke();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2 * ratio;
+    ctx.strokeRect(frameX, frameY, frameWidth, frameHeight);
+
+    drawPosterCropPreview(cropper, crop);
+}
+
+function drawPosterCropPreview(cropper, crop) {
+    const preview = cropper.previewCanvas;
+    if (!preview) return;
+
+    fitCanvasToDisplay(preview);
+    const ctx = preview.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.clearRect(0, 0, preview.width, preview.height);
+    ctx.drawImage(cropper.image.element, crop.x, crop.y, crop.width, crop.height, 0, 0, preview.width, preview.height);
+}
+
+// createImageBitmap applies the EXIF orientation, so phone photos come out the right way up.
+// Image elements do the same and cover formats createImageBitmap can't open (such as SVG).
+// Returns { element, width, height, close } where element can be drawn onto a canvas.
+async function loadOrientedImage(file) {
+    if (window.createImageBitmap) {
+        try {
+            const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+            return { element: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+        } catch (error) {
+            // Fall back to an image element
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    try {
+        image.src = url;
+        await image.decode();
+    } catch (error) {
+        URL.revokeObjectURL(url);
+        throw new Error('This file could not be read as an image');
+    }
+    if (!image.naturalWidth || !image.naturalHeight) {
+        URL.revokeObjectURL(url);
+        throw new Error('This image has no size to crop');
+    }
+    return { element: image, width: image.naturalWidth, height: image.naturalHeight, close: () => URL.revokeObjectURL(url) };
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+function notifyImageUpload(dotNetHelper, method, ...args) {
+    dotNetHelper.invokeMethodAsync(method, ...args).catch(() => {
+        // Component was disposed
+    });
+}
+
 window.triggerFileInput = (fileInputElement) => {
     if (fileInputElement) {
         fileInputElement.click();
     }
 };
-
-function fileToBase64(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = error => reject(error);
-        reader.readAsDataURL(file);
-    });
-}
\ No newline at end of file
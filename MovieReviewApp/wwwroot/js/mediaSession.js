@@ -0,0 +1,76 @@
+// Media Session - lock screen and notification controls for whatever the page is playing.
+// One owner at a time ('clip', 'countdown' or 'soundboard'); whichever starts playing last takes over,
+// and an owner can only clear or update the session while it still holds it.
+
+const MEDIA_SESSION_ACTIONS = ['play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack'];
+let mediaSessionOwner = null;
+
+// track: { title, artist, album, artwork }. handlers: { play, pause, ... } keyed by MEDIA_SESSION_ACTIONS,
+// each called with the browser's action details; missing ones are hidden from the OS controls.
+window.setMediaSessionTrack = function(owner, track, handlers) {
+    if (!('mediaSession' in navigator)) return;
+
+    mediaSessionOwner = owner;
+    navigator.mediaSession.metadata = new MediaMetadata({
+        title: track.title || 'Audio clip',
+        artist: track.artist || '',
+        album: track.album || '',
+        artwork: track.artwork ? [{ src: new URL(track.artwork, window.location.href).href }] : []
+    });
+
+    MEDIA_SESSION_ACTIONS.forEach(action => {
+        const handler = handlers ? handlers[action] : null;
+        try {
+            navigator.mediaSession.setActionHandler(action, handler ? details => handler(details) : null);
+        } catch (e) {
+            // Action not supported by this browser
+        }
+    });
+};
+
+// state is 'playing', 'paused' or 'none'; audio (optional) updates the OS seek bar
+window.setMediaSessionState = function(owner, state, audio) {
+    if (!('mediaSession' in navigator) || owner !== mediaSessionOwner) return;
+
+    navigator.mediaSession.playbackState = state;
+    if (audio && Number.isFinite(audio.duration) && audio.duration > 0) {
+        try {
+            navigator.mediaSession.setPositionState({
+                duration: audio.duration,
+                position: Math.min(audio.currentTime, audio.duration),
+                playbackRate: audio.playbackRate || 1
+            });
+        } catch (e) {
+            // Position state not supported by this browser
+        }
+    }
+};
+
+window.clearMediaSessionTrack = function(owner) {
+    if (!('mediaSession' in navigator) || owner !== mediaSessionOwner) return;
+
+    mediaSessionOwner = null;
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+    MEDIA_SESSION_ACTIONS.forEach(action => {
+        try {
+            navigator.mediaSession.setActionHandler(action, null);
+        } catch (e) {
+            // Action not supported by this browser
+        }
+    });
+};
+
+// Seek an audio element for a seekbackward/seekforward/seekto action, within its length
+window.seekMediaSessionAudio = function(audio, details, defaultOffset) {
+    if (!audio || !Number.isFinite(audio.duration)) return;
+
+    let time = audio.currentTime;
+    if (details.action === 'seekto') {
+        time = details.seekTime;
+    } else {
+        const offset = details.seekOffset || defaultOffset;
+        time += details.action === 'seekbackward' ? -offset : offset;
+    }
+    audio.currentTime = Math.max(0, Math.min(audio.duration, time));
+};
@@ -0,0 +1,27 @@
+// Offline support - registers the service worker and shows an indicator while the network is down
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/service-worker.js').catch(() => {
+            // The app works without it, just not offline
+        });
+    });
+}
+
+function updateOfflineIndicator() {
+    let indicator = document.getElementById('offline-indicator');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.id = 'offline-indicator';
+        indicator.className = 'offline-indicator';
+        indicator.setAttribute('role', 'status');
+        indicator.textContent = '📴 Offline - only cached soundboard clips will play';
+        document.body.appendChild(indicator);
+    }
+
+    document.body.classList.toggle('app-offline', !navigator.onLine);
+}
+
+window.addEventListener('online', updateOfflineIndicator);
+window.addEventListener('offline', updateOfflineIndicator);
+updateOfflineIndicator();
@@ -0,0 +1,147 @@
+// Offline soundboard - rebuilds a saved board from localStorage when the service worker
+// serves offline.html, and plays its clips from the IndexedDB cache in soundboard.js
+
+function normalizeBoardPath(path) {
+    try {
+        return decodeURIComponent(path || '').replace(/\/+$/, '').toLowerCase();
+    } catch (e) {
+        return (path || '').toLowerCase();
+    }
+}
+
+function findOfflineBoard(boards) {
+    const currentPath = normalizeBoardPath(window.location.pathname);
+    return Object.values(boards).find(board => normalizeBoardPath(board.path) === currentPath) || null;
+}
+
+// Same markup as the play buttons on the Soundboard page, so soundboard.js plays them unchanged
+function createOfflinePlayButton(sound, cached) {
+    const column = document.createElement('div');
+    column.className = 'col-6 col-md-4 col-lg-3';
+
+    const button = document.createElement('button');
+    button.className = 'btn btn-primary w-100 play-sound-btn';
+    button.setAttribute('data-offline', '');
+    button.dataset.soundUrl = sound.url;
+    button.dataset.soundId = sound.id;
+    const numeric = {
+        normalizationGain: sound.normalizationGain,
+        trimStart: sound.trimStart,
+        trimEnd: sound.trimEnd,
+        fadeIn: sound.fadeIn,
+        fadeOut: sound.fadeOut
+    };
+    Object.entries(numeric).forEach(([key, value]) => {
+        if (typeof value === 'number') {
+            button.dataset[key] = String(value);
+        }
+    });
+    const name = sound.title || sound.originalFileName || '';
+    button.title = sound.originalFileName || '';
+    button.dataset.fileName = sound.originalFileName || '';
+    button.disabled = !cached;
+    button.style.cssText = 'min-height: 80px; display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center;';
+
+    const icon = document.createElement('div');
+    icon.className = 'play-sound-icon';
+    icon.style.cssText = 'font-size: 1.5rem; margin-bottom: 0.25rem;';
+    icon.textContent = cached ? '▶️' : '☁️';
+
+    const label = document.createElement('small');
+    label.className = 'text-truncate w-100';
+    label.style.cssText = 'font-size: 0.7rem; line-height: 1.1;';
+    label.textContent = cached ? name : `${name} (not cached)`;
+
+    button.appendChild(icon);
+    button.appendChild(label);
+    column.appendChild(button);
+    return column;
+}
+
+const OFFLINE_PLAYBACK_ICONS = { loading: '⏳', playing: '🔊', error: '⚠️' };
+
+// The Soundboard page renders playback state in Blazor; this page owns its buttons, so it mirrors the same
+// data-playback-state attribute and progress variable from the playback events
+function handleOfflinePlayback(e) {
+    const playback = e.detail;
+    const button = Array.from(document.querySelectorAll('#offline-board .play-sound-btn'))
+        .find(b => b.dataset.soundId === playback.soundId || b.dataset.soundUrl === playback.url);
+    if (!button) return;
+
+    const state = playback.state === 'progress' ? 'playing' : playback.state;
+    const icon = button.querySelector('.play-sound-icon');
+    if (state === 'ended') {
+        delete button.dataset.playbackState;
+        button.style.removeProperty('--playback-progress');
+        button.removeAttribute('aria-busy');
+        button.title = button.dataset.fileName;
+        icon.textContent = '▶️';
+        return;
+    }
+
+    button.dataset.playbackState = state;
+    button.setAttribute('aria-busy', state === 'loading' ? 'true' : 'false');
+    icon.textContent = OFFLINE_PLAYBACK_ICONS[state] || '▶️';
+    if (playback.duration > 0) {
+        button.style.setProperty('--playback-progress', String(Math.min(1, playback.position / playback.duration)));
+    }
+    if (state === 'error') {
+        button.title = playback.error || 'The clip could not be played';
+    }
+}
+
+function renderOfflineBoardList(container, boards) {
+    const list = Object.values(boards);
+    if (list.length === 0) {
+        container.innerHTML = '<div class="col-12"><p class="text-muted">No soundboards have been saved for offline use yet. Open a soundboard while online first.</p></div>';
+        return;
+    }
+
+    list.forEach(board => {
+        const column = document.createElement('div');
+        column.className = 'col-6 col-md-4 col-lg-3';
+        const link = document.createElement('a');
+        link.className = 'btn btn-outline-primary w-100';
+        link.href = board.path;
+        link.textContent = `🎵 ${board.name} (${board.sounds.length})`;
+        column.appendChild(link);
+        container.appendChild(column);
+    });
+}
+
+async function renderOfflineSoundboard() {
+    const container = document.getElementById('offline-board');
+    const title = document.getElementById('offline-board-title');
+    const status = document.getElementById('offline-board-status');
+    if (!container) return;
+
+    window.setTheme('cyberpunk', window.getDarkMode());
+    window.initializeSoundboard();
+
+    document.getElementById('offline-stop-all').addEventListener('click', () => window.stopAllSounds());
+    document.getElementById('offline-retry').addEventListener('click', () => window.location.reload());
+
+    const boards = window.getOfflineSoundboards();
+    const board = findOfflineBoard(boards);
+    if (!board) {
+        title.textContent = '🎵 Offline Soundboards';
+        renderOfflineBoardList(container, boards);
+        return;
+    }
+
+    title.textContent = `🎵 ${board.name} Soundboard`;
+    const cachedUrls = new Set(await window.getCachedSoundUrls());
+    const playable = board.sounds.filter(sound => cachedUrls.has(sound.url)).length;
+    status.textContent = `The server can't be reached right now. ${playable} of ${board.sounds.length} clips are cached on this device.`;
+
+    document.addEventListener('soundboardplayback', handleOfflinePlayback);
+    board.sounds.forEach(sound => {
+        container.appendChild(createOfflinePlayButton(sound, cachedUrls.has(sound.url)));
+    });
+
+    // Registers gains/metadata and hotkeys exactly like the online page
+    await window.preloadPersonSounds(board.sounds);
+    window.loadSoundboardHotkeys(board.personId, board.sounds.map(sound => sound.id));
+}
+
+renderOfflineSoundboard();
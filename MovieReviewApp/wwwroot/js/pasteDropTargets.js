@@ -0,0 +1,292 @@
+// Paste and drop targets - components register an element as a zone along with what it accepts, and one
+// set of document listeners routes each paste or file drop to a single zone:
+//   drop  -> the innermost accepting zone under the pointer
+//   paste -> the zone holding focus, else the hovered zone, else the zone last clicked, else the only accepting zone
+// Pasting into a text field is never taken over unless the clipboard holds files and no text, and then only
+// by a zone that contains the field.
+// Zones with an onRejected callback also take drops of files they don't accept, so they can say why.
+
+let pasteDropTargets = new Map(); // element -> target options
+let pasteDropListenersAttached = false;
+let hoveredPasteDropElement = null;
+let lastUsedPasteDropElement = null;
+let activeDropElement = null;
+let fileDragDepth = 0;
+
+// Register a zone. Options:
+//   accept      - MIME types and extensions like an <input accept> list, e.g. ['image/*'] or ['audio/*', '.m4a']
+//   paste, drop - which gestures the zone takes (both default to true)
+//   label       - text shown on the overlay while files are dragged over the zone
+//   onFiles     - called with (files, source) where source is 'paste' or 'drop'; only accepted files are passed
+//   acceptText  - optional predicate for pasted text (e.g. a URL), called with (text, html) where html is the
+//                 clipboard's text/html if any (copying an image from a web page); text it rejects pastes normally
+//   onText      - called with (text, html) when acceptText allows it; text is trimmed
+//   onRejected  - called with (files, source) for dropped or pasted files the zone doesn't accept
+//   rejectLabel - overlay text while dragging files the zone doesn't accept (needs onRejected)
+window.registerPasteDropTarget = function(element, options) {
+    if (!element) return;
+
+    pasteDropTargets.set(element, {
+        accept: options.accept || [],
+        paste: options.paste !== false,
+        drop: options.drop !== false,
+        onFiles: options.onFiles,
+        acceptText: options.acceptText,
+        onText: options.onText,
+        onRejected: options.onRejected
+    });
+
+    element.classList.add('paste-drop-target');
+    if (options.label) {
+        element.dataset.dropLabel = options.label;
+    }
+    if (options.onRejected) {
+        element.dataset.dropRejectLabel = options.rejectLabel || "These files can't be dropped here";
+    }
+
+    attachPasteDropListeners();
+};
+
+window.unregisterPasteDropTarget = function(element) {
+    if (!element || !pasteDropTargets.delete(element)) return;
+
+    element.classList.remove('paste-drop-target', 'paste-drop-ready', 'paste-drop-active', 'paste-drop-rejected');
+    delete element.dataset.dropLabel;
+    delete element.dataset.dropRejectLabel;
+
+    if (hoveredPasteDropElement === element) hoveredPasteDropElement = null;
+    if (lastUsedPasteDropElement === element) lastUsedPasteDropElement = null;
+    if (activeDropElement === element) activeDropElement = null;
+};
+
+function attachPasteDropListeners() {
+    if (pasteDropListenersAttached) return;
+    pasteDropListenersAttached = true;
+
+    document.addEventListener('paste', handleTargetPaste);
+    document.addEventListener('dragenter', handleTargetDragEnter);
+    document.addEventListener('dragover', handleTargetDragOver);
+    document.addEventListener('dragleave', handleTargetDragLeave);
+    document.addEventListener('drop', handleTargetDrop);
+    document.addEventListener('dragend', clearFileDrag);
+
+    // Remember where the user is working so a paste with nothing focused still lands in the right zone
+    document.addEventListener('pointerover', e => {
+        hoveredPasteDropElement = findPasteDropElement(e.target, () => true);
+    }, { passive: true });
+    document.addEventListener('pointerdown', e => {
+        lastUsedPasteDropElement = findPasteDropElement(e.target, () => true);
+    }, { passive: true });
+    document.addEventListener('focusin', e => {
+        lastUsedPasteDropElement = findPasteDropElement(e.target, () => true) || lastUsedPasteDropElement;
+    });
+}
+
+// Walk up from a node to the innermost registered zone that satisfies the predicate
+function findPasteDropElement(node, predicate) {
+    for (let element = node; element && element !== document; element = element.parentElement) {
+        const target = pasteDropTargets.get(element);
+        if (target && predicate(target)) return element;
+    }
+    return null;
+}
+
+function matchesAccept(accept, type, name) {
+    if (accept.length === 0) return true;
+
+    const mimeType = (type || '').toLowerCase();
+    const fileName = (name || '').toLowerCase();
+    return accept.some(pattern => {
+        const entry = pattern.toLowerCase();
+        if (entry.startsWith('.')) return fileName.endsWith(entry);
+        if (entry === '*/*') return true;
+        if (entry.endsWith('/*')) return mimeType.startsWith(entry.slice(0, -1));
+        return mimeType === entry;
+    });
+}
+
+function acceptsFile(target, file) {
+    return matchesAccept(target.accept, file.type, file.name);
+}
+
+// While dragging only the MIME types are known; files the browser can't type are given the benefit
+// of the doubt and filtered properly on drop
+function acceptsDraggedItems(target, dataTransfer) {
+    const types = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.type);
+    if (types.length === 0) return true;
+    return types.some(type => !type || matchesAccept(target.accept, type, ''));
+}
+
+function hasDraggedFiles(e) {
+    return e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+}
+
+// File inputs handle their own drops (e.g. the soundboard archive picker)
+function isFileInput(node) {
+    return node && node.tagName === 'INPUT' && (node.type || '').toLowerCase() === 'file';
+}
+
+function isTextEntryTarget(node) {
+    if (!node) return false;
+    if (node.isContentEditable) return true;
+
+    const tagName = node.tagName;
+    if (tagName === 'TEXTAREA' || tagName === 'SELECT') return true;
+    if (tagName !== 'INPUT') return false;
+
+    const nonTextTypes = ['checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'file', 'color'];
+    return !nonTextTypes.includes((node.type || 'text').toLowerCase());
+}
+
+function getClipboardFiles(clipboardData) {
+    return Array.from(clipboardData.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile())
+        .filter(file => file);
+}
+
+function handleTargetPaste(e) {
+    const clipboardData = e.clipboardData;
+    if (!clipboardData || pasteDropTargets.size === 0) return;
+
+    const files = getClipboardFiles(clipboardData);
+    const text = (clipboardData.getData('text/plain') || '').trim();
+    const html = clipboardData.getData('text/html') || '';
+    const takesFiles = target => target.paste && files.some(file => acceptsFile(target, file));
+    const takesText = target => target.paste && !!(text || html) && !!target.onText
+        && (!target.acceptText || target.acceptText(text, html));
+
+    let element;
+    if (isTextEntryTarget(e.target)) {
+        // The field gets its text; a bare image or clip can only go to the zone the field sits in
+        if (text || e.target.isContentEditable) return;
+        element = findPasteDropElement(e.target, takesFiles);
+    } else {
+        const accepts = target => takesFiles(target) || takesText(target);
+        element = findPasteDropElement(document.activeElement, accepts)
+            || findPasteDropElement(hoveredPasteDropElement, accepts)
+            || findPasteDropElement(lastUsedPasteDropElement, accepts)
+            || getOnlyAcceptingElement(accepts);
+    }
+
+    if (!element || !element.isConnected) return;
+
+    const target = pasteDropTargets.get(element);
+    const acceptedFiles = files.filter(file => acceptsFile(target, file));
+    e.preventDefault();
+
+    if (acceptedFiles.length > 0) {
+        invokeTargetCallback(target.onFiles, acceptedFiles, 'paste');
+        reportRejectedFiles(target, files.filter(file => !acceptedFiles.includes(file)), 'paste');
+    } else {
+        invokeTargetCallback(target.onText, text, html);
+    }
+}
+
+function reportRejectedFiles(target, files, source) {
+    if (files.length > 0) {
+        invokeTargetCallback(target.onRejected, files, source);
+    }
+}
+
+window.isHttpUrl = function(text) {
+    try {
+        const url = new URL(text);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+// With a single zone on the page there's no ambiguity about where a paste should go
+function getOnlyAcceptingElement(predicate) {
+    const elements = Array.from(pasteDropTargets.entries())
+        .filter(([element, target]) => element.isConnected && predicate(target))
+        .map(([element]) => element);
+    return elements.length === 1 ? elements[0] : null;
+}
+
+function invokeTargetCallback(callback, ...args) {
+    if (!callback) return;
+
+    Promise.resolve()
+        .then(() => callback(...args))
+        .catch(() => {
+            // The zone reports its own errors
+        });
+}
+
+function handleTargetDragEnter(e) {
+    if (pasteDropTargets.size === 0 || !hasDraggedFiles(e)) return;
+
+    if (fileDragDepth++ === 0) {
+        pasteDropTargets.forEach((target, element) => {
+            if (target.drop && acceptsDraggedItems(target, e.dataTransfer)) {
+                element.classList.add('paste-drop-ready');
+            }
+        });
+    }
+}
+
+function handleTargetDragOver(e) {
+    if (pasteDropTargets.size === 0 || !hasDraggedFiles(e) || isFileInput(e.target)) return;
+
+    // Always cancel so a stray drop doesn't open the file and navigate away from unsaved work
+    e.preventDefault();
+
+    const element = findPasteDropElement(e.target, target => target.drop && acceptsDraggedItems(target, e.dataTransfer));
+    const rejecting = element ? null : findPasteDropElement(e.target, target => target.drop && !!target.onRejected);
+    e.dataTransfer.dropEffect = element || rejecting ? 'copy' : 'none';
+    setActiveDropElement(element || rejecting, !!rejecting);
+}
+
+function handleTargetDragLeave(e) {
+    if (pasteDropTargets.size === 0 || !hasDraggedFiles(e)) return;
+
+    fileDragDepth = Math.max(0, fileDragDepth - 1);
+    if (fileDragDepth === 0) {
+        clearFileDrag();
+    }
+}
+
+function handleTargetDrop(e) {
+    if (pasteDropTargets.size === 0 || !hasDraggedFiles(e)) return;
+    if (isFileInput(e.target)) {
+        clearFileDrag();
+        return;
+    }
+
+    e.preventDefault();
+    clearFileDrag();
+
+    // The same choice as the dragover highlight, now that the files themselves can be checked
+    const droppedFiles = Array.from(e.dataTransfer.files || []);
+    const element = findPasteDropElement(e.target, target => target.drop && droppedFiles.some(file => acceptsFile(target, file)))
+        || findPasteDropElement(e.target, target => target.drop && !!target.onRejected);
+    if (!element) return;
+
+    const target = pasteDropTargets.get(element);
+    const files = droppedFiles.filter(file => acceptsFile(target, file));
+    if (files.length > 0) {
+        invokeTargetCallback(target.onFiles, files, 'drop');
+    }
+    reportRejectedFiles(target, droppedFiles.filter(file => !files.includes(file)), 'drop');
+}
+
+// rejected marks a zone that only takes the drop to explain why it can't use these files
+function setActiveDropElement(element, rejected) {
+    if (activeDropElement !== element) {
+        activeDropElement?.classList.remove('paste-drop-active', 'paste-drop-rejected');
+        activeDropElement = element;
+        activeDropElement?.classList.add('paste-drop-active');
+    }
+    activeDropElement?.classList.toggle('paste-drop-rejected', !!rejected);
+}
+
+function clearFileDrag() {
+    fileDragDepth = 0;
+    setActiveDropElement(null);
+    pasteDropTargets.forEach((target, element) => element.classList.remove('paste-drop-ready'));
+}
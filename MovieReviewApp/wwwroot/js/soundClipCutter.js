@@ -0,0 +1,130 @@
+// Clip cutter - pick a region out of a long local recording or video and upload only that slice.
+// The source is decoded in the browser and never leaves the device; the slice is sent as a WAV.
+
+let cutSource = null; // { id, file, duration } waiting for or open in the SoundClipCutter component
+let nextCutSourceId = 1;
+
+const CUT_VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mkv', '.mov', '.webm', '.avi'];
+const CUT_LONG_AUDIO_SECONDS = 60; // Longer audio opens the cutter instead of going straight to the board
+// Decoding holds every sample in memory as 32-bit floats (about 23 MB per stereo minute at 48 kHz)
+const CUT_MAX_SOURCE_SECONDS = 30 * 60;
+const CUT_MAX_SOURCE_BYTES = 1024 * 1024 * 1024;
+const CUT_INITIAL_SELECTION_SECONDS = 10;
+const CUT_PROBE_TIMEOUT_MS = 5000;
+
+function isVideoSource(file) {
+    if (file.type && file.type.startsWith('video/')) return true;
+    const name = (file.name || '').toLowerCase();
+    return CUT_VIDEO_EXTENSIONS.some(extension => name.endsWith(extension)) && !(file.type || '').startsWith('audio/');
+}
+
+// Read the duration from the container's metadata without decoding the whole file
+function probeMediaDuration(file) {
+    return new Promise(resolve => {
+        const media = document.createElement(isVideoSource(file) ? 'video' : 'audio');
+        const url = URL.createObjectURL(file);
+        let timer = null;
+        const finish = duration => {
+            if (!timer) return;
+            clearTimeout(timer);
+            timer = null;
+            media.removeAttribute('src');
+            media.load();
+            URL.revokeObjectURL(url);
+            resolve(duration);
+        };
+
+        // Some containers never report either way; treat them as unknown rather than holding up the drop
+        timer = setTimeout(() => finish(null), CUT_PROBE_TIMEOUT_MS);
+        media.preload = 'metadata';
+        media.onloadedmetadata = () => finish(Number.isFinite(media.duration) ? media.duration : null);
+        media.onerror = () => finish(null);
+        media.src = url;
+    });
+}
+
+// Split dropped or pasted files into clips to upload as they are and sources to cut from:
+// videos always need cutting, audio only when it runs longer than a typical soundboard clip
+window.splitSoundCutSources = async function(files) {
+    const uploads = [];
+    const sources = [];
+
+    for (const file of Array.from(files || [])) {
+        if (isVideoSource(file)) {
+            sources.push({ file, duration: await probeMediaDuration(file) });
+            continue;
+        }
+
+        const duration = await probeMediaDuration(file);
+        if (duration !== null && duration > CUT_LONG_AUDIO_SECONDS) {
+            sources.push({ file, duration });
+        } else {
+            uploads.push(file);
+        }
+    }
+
+    return { uploads, sources };
+};
+
+// Hold a source for the cutter; returns what the component shows before the waveform loads
+window.setSoundCutSource = function(file, duration) {
+    cutSource = { id: nextCutSourceId++, file, duration };
+    return describeCutSource(cutSource);
+};
+
+window.getSoundCutSource = function() {
+    return cutSource ? describeCutSource(cutSource) : null;
+};
+
+// Decode the held source into the waveform editor; returns the decoded duration in seconds
+window.openSoundCutSource = async function(canvas, volume) {
+    if (!cutSource) {
+        throw new Error('There is no recording to cut');
+    }
+    if (cutSource.file.size > CUT_MAX_SOURCE_BYTES) {
+        throw new Error('This file is too large to open in the browser (max 1 GB)');
+    }
+    if (cutSource.duration !== null && cutSource.duration > CUT_MAX_SOURCE_SECONDS) {
+        throw new Error('Recordings longer than 30 minutes are too long to open in the browser - split it up first');
+    }
+
+    const initialEnd = Math.min(cutSource.duration || CUT_INITIAL_SELECTION_SECONDS, CUT_INITIAL_SELECTION_SECONDS);
+    return await window.openWaveformEditor(canvas, cutSource.file, { start: 0, end: initialEnd }, { scrubbing: true, volume });
+};
+
+// Render the selection and upload it; the source stays open so more clips can be cut from it
+window.uploadSoundCut = async function(canvas, personId, name) {
+    if (!cutSource) return null;
+
+    const selection = window.getWaveformSelection(canvas);
+    const slice = await window.renderWaveformSelection(canvas);
+    if (!selection || !slice) return null;
+
+    const stem = cutSource.file.name.replace(/\.[^.]+$/, '');
+    const startSeconds = Math.floor(selection.start);
+    const baseName = (name || '').trim() || `${stem} ${Math.floor(startSeconds / 60)}m${String(startSeconds % 60).padStart(2, '0')}s`;
+    const safeName = baseName.replace(/[\\/:*?"<>|]/g, '-');
+    const file = new File([slice], safeName + '.wav', { type: 'audio/wav' });
+
+    return await window.uploadSoundFile(personId, file, null);
+};
+
+// Only forget the source if it's the one this cutter opened - a newer drop may already have replaced it
+window.closeSoundCutSource = function(canvas, id) {
+    if (canvas) {
+        window.closeWaveformEditor(canvas);
+    }
+    if (cutSource && cutSource.id === id) {
+        cutSource = null;
+    }
+};
+
+function describeCutSource(source) {
+    return {
+        id: source.id,
+        fileName: source.file.name,
+        size: source.file.size,
+        duration: source.duration,
+        isVideo: isVideoSource(source.file)
+    };
+}
@@ -0,0 +1,154 @@
+// Soundboard play statistics - plays are buffered in localStorage and reported in batches, so
+// playback never waits on the network and plays made while offline are sent once back online.
+// Every tab shares the buffer, so two tabs can report the same plays; each play carries an id the
+// server stores it under, which makes a second report of it a no-op.
+
+const PLAY_BUFFER_KEY = 'soundboard_play_buffer';
+const PLAY_FLUSH_DELAY_MS = 5000;
+const PLAY_FLUSH_BATCH_SIZE = 25;
+const PLAY_BUFFER_LIMIT = 500; // Also the most the server accepts in one report
+let playFlushTimer = null;
+let playFlushRunning = false;
+let soundPlayStatsHelper = null; // DotNetObjectReference of the SoundStatsPanel component
+
+// Called by soundboard.js once a clip has started playing
+window.recordSoundPlay = function(soundId) {
+    if (!soundId) return;
+
+    const buffer = readPlayBuffer();
+    buffer.push({ playId: createPlayId(), soundId: soundId, playedAt: new Date().toISOString() });
+    // After a very long time offline, keep the newest plays
+    writePlayBuffer(buffer.slice(-PLAY_BUFFER_LIMIT));
+
+    if (buffer.length >= PLAY_FLUSH_BATCH_SIZE) {
+        flushSoundPlays();
+    } else {
+        schedulePlayFlush();
+    }
+};
+
+// The Blazor component refreshes its counts after each successful report
+window.registerSoundPlayStats = function(dotNetHelper) {
+    soundPlayStatsHelper = dotNetHelper;
+    flushSoundPlays();
+};
+
+window.unregisterSoundPlayStats = function() {
+    soundPlayStatsHelper = null;
+};
+
+// crypto.randomUUID only exists in secure contexts, not plain-HTTP installs
+function createPlayId() {
+    if (window.crypto && window.crypto.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function readPlayBuffer() {
+    try {
+        const buffer = JSON.parse(localStorage.getItem(PLAY_BUFFER_KEY) || '[]');
+        return Array.isArray(buffer) ? buffer : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function writePlayBuffer(buffer) {
+    try {
+        if (buffer.length === 0) {
+            localStorage.removeItem(PLAY_BUFFER_KEY);
+        } else {
+            localStorage.setItem(PLAY_BUFFER_KEY, JSON.stringify(buffer));
+        }
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+}
+
+// Plays recorded meanwhile stay in the buffer, and plays another tab has already removed stay gone
+function removeReportedPlays(plays) {
+    const reported = new Set(plays.map(getPlayKey));
+    writePlayBuffer(readPlayBuffer().filter(play => !reported.has(getPlayKey(play))));
+}
+
+// Plays buffered before plays had ids are told apart by clip and time
+function getPlayKey(play) {
+    return play.playId || `${play.soundId}@${play.playedAt}`;
+}
+
+function schedulePlayFlush() {
+    if (playFlushTimer) return;
+    playFlushTimer = setTimeout(flushSoundPlays, PLAY_FLUSH_DELAY_MS);
+}
+
+async function flushSoundPlays() {
+    clearTimeout(playFlushTimer);
+    playFlushTimer = null;
+    if (playFlushRunning || !navigator.onLine) return;
+
+    const plays = readPlayBuffer();
+    if (plays.length === 0) return;
+
+    playFlushRunning = true;
+    let sent = false;
+    try {
+        const response = await fetch('/api/sound/plays', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ plays: plays })
+        });
+
+        // A rejected batch would be rejected again, so only server errors are kept for a retry
+        if (response.ok || (response.status >= 400 && response.status < 500)) {
+            removeReportedPlays(plays);
+            sent = response.ok;
+        }
+    } catch (error) {
+        // Offline or the server is unreachable - the plays stay buffered for next time
+    } finally {
+        playFlushRunning = false;
+    }
+
+    if (sent && soundPlayStatsHelper) {
+        soundPlayStatsHelper.invokeMethodAsync('OnPlaysRecorded').catch(() => {
+            // Component was disposed
+        });
+    }
+    if (sent && readPlayBuffer().length > 0) {
+        schedulePlayFlush();
+    }
+}
+
+// Send whatever is left when the page goes away; a beacon outlives the page. This also runs on every
+// tab switch, so the buffer is only cleared once the browser has accepted the beacon - otherwise the
+// plays stay buffered and go with the next report.
+function flushSoundPlaysOnExit() {
+    const plays = readPlayBuffer();
+    if (plays.length === 0 || !navigator.onLine || playFlushRunning || !navigator.sendBeacon) return;
+
+    const body = new Blob([JSON.stringify({ plays: plays })], { type: 'application/json' });
+    if (navigator.sendBeacon('/api/sound/plays', body)) {
+        removeReportedPlays(plays);
+    }
+}
+
+window.addEventListener('online', () => flushSoundPlays());
+window.addEventListener('pagehide', flushSoundPlaysOnExit);
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        flushSoundPlaysOnExit();
+    }
+});
+window.addEventListener('load', () => {
+    if (readPlayBuffer().length > 0) {
+        schedulePlayFlush();
+    }
+});
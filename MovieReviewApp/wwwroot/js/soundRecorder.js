@@ -0,0 +1,186 @@
+// Microphone recording for the soundboard - capture, level meter, preview and upload
+
+let activeRecording = null;
+let lastRecording = null;
+
+const MAX_RECORDING_SECONDS = 120;
+const RECORDING_MIME_TYPES = [
+    'audio/webm;codecs=opus',
+    'audio/webm',
+    'audio/ogg;codecs=opus',
+    'audio/mp4'
+];
+
+function getRecordingMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function getRecordingExtension(mimeType) {
+    if (mimeType.startsWith('audio/ogg')) return '.ogg';
+    if (mimeType.startsWith('audio/mp4')) return '.m4a';
+    return '.webm';
+}
+
+// Start recording from the default microphone, drawing the input level into meterElement
+window.startSoundRecording = async function(meterElement, dotNetHelper) {
+    if (activeRecording) return true;
+
+    const mimeType = getRecordingMimeType();
+    if (mimeType === null || !navigator.mediaDevices?.getUserMedia) {
+        throw new Error('Recording is not supported in this browser');
+    }
+
+    window.discardSoundRecording();
+
+    // Raw input - the browser's voice processing makes quotes sound muffled
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+            echoCancellation: false,
+            noiseSuppression: false,
+            autoGainControl: false
+        }
+    });
+
+    let recorder;
+    let meterContext = null;
+    let analyser;
+    try {
+        recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        meterContext = new (window.AudioContext || window.webkitAudioContext)();
+        analyser = meterContext.createAnalyser();
+        analyser.fftSize = 1024;
+        meterContext.createMediaStreamSource(stream).connect(analyser);
+    } catch (error) {
+        // Release the microphone, or the browser keeps showing it as in use
+        stream.getTracks().forEach(track => track.stop());
+        meterContext?.close();
+        throw error;
+    }
+
+    const recording = {
+        stream: stream,
+        recorder: recorder,
+        chunks: [],
+        meterContext: meterContext,
+        analyser: analyser,
+        meterElement: meterElement,
+        meterFrame: null,
+        startedAt: Date.now(),
+        autoStopTimer: null,
+        stopped: null
+    };
+
+    recording.stopped = new Promise(resolve => {
+        recorder.addEventListener('dataavailable', e => {
+            if (e.data && e.data.size > 0) {
+                recording.chunks.push(e.data);
+            }
+        });
+        recorder.addEventListener('stop', resolve, { once: true });
+    });
+
+    recording.autoStopTimer = setTimeout(async () => {
+        if (activeRecording !== recording) return;
+        await window.stopSoundRecording();
+        if (dotNetHelper) {
+            dotNetHelper.invokeMethodAsync('OnRecordingAutoStopped').catch(() => {
+                // Component was disposed
+            });
+        }
+    }, MAX_RECORDING_SECONDS * 1000);
+
+    recorder.start(250);
+    activeRecording = recording;
+    drawRecordingLevel(recording);
+    return true;
+};
+
+// Stop recording and return details of the take for preview
+window.stopSoundRecording = async function() {
+    const recording = activeRecording;
+    if (!recording) return lastRecording ? describeRecording(lastRecording) : null;
+
+    activeRecording = null;
+    clearTimeout(recording.autoStopTimer);
+    cancelAnimationFrame(recording.meterFrame);
+
+    if (recording.recorder.state !== 'inactive') {
+        recording.recorder.stop();
+    }
+    await recording.stopped;
+
+    recording.stream.getTracks().forEach(track => track.stop());
+    recording.meterContext.close();
+    if (recording.meterElement) {
+        recording.meterElement.style.width = '0%';
+    }
+
+    const type = recording.recorder.mimeType || 'audio/webm';
+    const blob = new Blob(recording.chunks, { type: type.split(';')[0] });
+    lastRecording = {
+        blob: blob,
+        previewUrl: URL.createObjectURL(blob),
+        duration: (Date.now() - recording.startedAt) / 1000,
+        extension: getRecordingExtension(type)
+    };
+
+    return describeRecording(lastRecording);
+};
+
+// Throw away the current take (re-take)
+window.discardSoundRecording = function() {
+    if (lastRecording) {
+        URL.revokeObjectURL(lastRecording.previewUrl);
+        lastRecording = null;
+    }
+};
+
+// Upload the last take through the regular soundboard upload path
+window.uploadSoundRecording = async function(personId, name, description) {
+    if (!lastRecording) return null;
+
+    const baseName = (name || '').trim() || `Recording ${new Date().toLocaleString()}`;
+    const safeName = baseName.replace(/[\\/:*?"<>|]/g, '-');
+    const file = new File([lastRecording.blob], safeName + lastRecording.extension, { type: lastRecording.blob.type });
+
+    const result = await window.uploadSoundFile(personId, file, description);
+    if (result) {
+        window.discardSoundRecording();
+    }
+    return result;
+};
+
+function describeRecording(recording) {
+    return {
+        previewUrl: recording.previewUrl,
+        duration: recording.duration,
+        size: recording.blob.size
+    };
+}
+
+// Peak input level as the width of the meter bar
+function drawRecordingLevel(recording) {
+    const samples = new Float32Array(recording.analyser.fftSize);
+
+    const draw = () => {
+        if (activeRecording !== recording) return;
+
+        recording.analyser.getFloatTimeDomainData(samples);
+        let peak = 0;
+        for (const sample of samples) {
+            peak = Math.max(peak, Math.abs(sample));
+        }
+
+        if (recording.meterElement) {
+            // Scale in dB so quiet speech still moves the meter
+            const db = 20 * Math.log10(Math.max(peak, 0.0001));
+            const percent = Math.max(0, Math.min(100, (db + 60) / 60 * 100));
+            recording.meterElement.style.width = percent + '%';
+            recording.meterElement.classList.toggle('clipping', peak >= 0.99);
+        }
+
+        recording.meterFrame = requestAnimationFrame(draw);
+    };
+    draw();
+}
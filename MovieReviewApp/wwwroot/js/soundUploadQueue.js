@@ -0,0 +1,359 @@
+// Soundboard upload queue - batch uploads with per-file progress and cancel/retry. Each file is
+// hashed in the browser first so clips the server already has are skipped before transfer.
+
+let soundUploadQueue = [];
+let soundUploadQueueRunning = false;
+let soundUploadHelper = null; // DotNetObjectReference of the SoundUploadQueue component
+let soundUploadNotifyTimer = null;
+let nextSoundUploadId = 1;
+
+const UPLOAD_AUDIO_EXTENSIONS = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac', '.webm'];
+const UPLOAD_NOTIFY_INTERVAL_MS = 150;
+
+// The Blazor component that renders the queue and refreshes the board after each upload
+window.registerSoundUploadQueue = function(dotNetHelper) {
+    soundUploadHelper = dotNetHelper;
+    return getSoundUploadSnapshot();
+};
+
+window.unregisterSoundUploadQueue = function() {
+    soundUploadHelper = null;
+};
+
+// Add files to the queue for a person's board; returns how many were queued
+window.enqueueSoundUploads = async function(personId, files) {
+    const items = Array.from(files || []).map(file => ({
+        id: nextSoundUploadId++,
+        personId: personId,
+        file: file,
+        status: 'hashing',
+        progress: 0,
+        message: null,
+        hash: null,
+        checked: false, // Hashed and compared with the queue and the server
+        duplicateOf: null,
+        xhr: null
+    }));
+    if (items.length === 0) return 0;
+
+    soundUploadQueue.push(...items);
+    notifySoundUploadQueue();
+
+    await prepareSoundUploads(items);
+    processSoundUploadQueue();
+    return items.length;
+};
+
+// Hash the files and skip duplicates, leaving the rest queued. Cancelling an item stops it here.
+async function prepareSoundUploads(items) {
+    for (const item of items) {
+        if (item.status === 'cancelled') continue;
+
+        if (!isAudioUpload(item.file)) {
+            item.status = 'error';
+            item.message = 'Not an audio file';
+            continue;
+        }
+
+        try {
+            item.hash = await hashAudioData(await item.file.arrayBuffer());
+        } catch (error) {
+            if (item.status === 'hashing') {
+                item.status = 'error';
+                item.message = `Couldn't read the file: ${error.message || 'unknown error'}`;
+            }
+            continue;
+        }
+        if (item.status === 'hashing') {
+            item.status = 'checking';
+        }
+    }
+    notifySoundUploadQueue();
+
+    const checking = items.filter(item => item.status === 'checking');
+    await markDuplicateUploads(checking);
+    checking.forEach(item => {
+        item.checked = true;
+        if (item.status === 'checking') {
+            item.status = 'queued';
+        }
+    });
+    notifySoundUploadQueue();
+}
+
+// Queue whatever is selected in a file input, then clear it so the same file can be picked again
+window.enqueueSoundUploadsFromInput = async function(personId, fileInput) {
+    const files = Array.from(fileInput.files || []);
+    fileInput.value = '';
+    return await window.enqueueSoundUploads(personId, files);
+};
+
+window.cancelSoundUpload = function(id) {
+    const item = soundUploadQueue.find(queued => queued.id === id);
+    if (!item || !['hashing', 'checking', 'queued', 'uploading'].includes(item.status)) return;
+
+    item.status = 'cancelled';
+    item.message = null;
+    if (item.xhr) {
+        item.xhr.abort();
+    }
+    notifySoundUploadQueue();
+};
+
+window.retrySoundUpload = function(id) {
+    const item = soundUploadQueue.find(queued => queued.id === id);
+    if (!item || !['error', 'cancelled'].includes(item.status) || !isAudioUpload(item.file)) return;
+
+    item.progress = 0;
+    item.message = null;
+
+    // Cancelled or failed before its duplicate check - go through it again rather than uploading blind
+    if (!item.checked) {
+        item.status = 'hashing';
+        notifySoundUploadQueue();
+        prepareSoundUploads([item]).then(processSoundUploadQueue);
+        return;
+    }
+
+    item.status = 'queued';
+    notifySoundUploadQueue();
+    processSoundUploadQueue();
+};
+
+// Drop uploads that need no more attention (done, skipped as duplicates or cancelled)
+window.clearFinishedSoundUploads = function() {
+    soundUploadQueue = soundUploadQueue.filter(item => !['done', 'duplicate', 'cancelled'].includes(item.status));
+    notifySoundUploadQueue();
+};
+
+// Let the board refresh after an upload that didn't go through the queue (e.g. a pasted URL)
+window.notifySoundUploaded = async function(result) {
+    if (!result || !soundUploadHelper) return;
+
+    try {
+        await soundUploadHelper.invokeMethodAsync('OnSoundUploaded', result.id);
+    } catch (error) {
+        // Component was disposed - the next page load shows the clip
+    }
+};
+
+function isAudioUpload(file) {
+    if (file.type && file.type.startsWith('audio/')) return true;
+    const name = (file.name || '').toLowerCase();
+    return UPLOAD_AUDIO_EXTENSIONS.some(extension => name.endsWith(extension));
+}
+
+// Skip files already queued earlier in this session or already stored on the server
+async function markDuplicateUploads(items) {
+    items.forEach(item => {
+        if (!item.hash) return;
+        const earlier = soundUploadQueue.find(other =>
+            other.id < item.id && other.hash === item.hash && !['error', 'cancelled'].includes(other.status));
+        if (earlier) {
+            item.status = 'duplicate';
+            item.message = `Same file as ${earlier.file.name}`;
+        }
+    });
+
+    const hashes = items.filter(item => item.status === 'checking' && item.hash).map(item => item.hash);
+    if (hashes.length === 0) return;
+
+    try {
+        const response = await fetch('/api/sound/check-hashes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ hashes: hashes })
+        });
+        if (!response.ok) return;
+
+        const existing = new Map((await response.json()).map(clip => [clip.hash, clip]));
+        items.forEach(item => {
+            const clip = item.status === 'checking' ? existing.get(item.hash) : null;
+            if (clip) {
+                item.status = 'duplicate';
+                item.duplicateOf = {
+                    id: clip.id,
+                    personId: clip.personId,
+                    originalFileName: clip.originalFileName
+                };
+            }
+        });
+    } catch (error) {
+        // The server still de-duplicates on upload, this check just saves the transfer
+    }
+}
+
+// Upload queued files one at a time
+async function processSoundUploadQueue() {
+    if (soundUploadQueueRunning) return;
+    soundUploadQueueRunning = true;
+
+    try {
+        let item;
+        while ((item = soundUploadQueue.find(queued => queued.status === 'queued'))) {
+            await uploadQueuedSound(item);
+        }
+    } finally {
+        soundUploadQueueRunning = false;
+    }
+}
+
+async function uploadQueuedSound(item) {
+    item.status = 'uploading';
+    item.progress = 0;
+    notifySoundUploadQueue();
+
+    try {
+        const result = await sendSoundUpload(item);
+        item.status = 'done';
+        item.progress = 100;
+        notifySoundUploadQueue();
+
+        await cacheUploadedSound(result);
+        await window.notifySoundUploaded(result);
+    } catch (error) {
+        if (item.status !== 'cancelled') {
+            item.status = 'error';
+            item.message = error.message;
+        }
+        notifySoundUploadQueue();
+    }
+}
+
+// XMLHttpRequest rather than fetch, which can't report upload progress
+function sendSoundUpload(item) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        item.xhr = xhr;
+
+        xhr.upload.onprogress = e => {
+            if (e.lengthComputable) {
+                item.progress = Math.round((e.loaded / e.total) * 100);
+                notifySoundUploadQueue();
+            }
+        };
+        xhr.onload = () => {
+            item.xhr = null;
+            if (xhr.status >= 200 && xhr.status < 300) {
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (error) {
+                    reject(new Error('Unexpected response from the server'));
+                }
+            } else {
+                reject(new Error(xhr.responseText || xhr.statusText || `Upload failed (${xhr.status})`));
+            }
+        };
+        xhr.onerror = () => {
+            item.xhr = null;
+            reject(new Error('Network error'));
+        };
+        xhr.onabort = () => {
+            item.xhr = null;
+            reject(new Error('Cancelled'));
+        };
+
+        const formData = new FormData();
+        formData.append('personId', item.personId);
+        formData.append('file', item.file);
+
+        xhr.open('POST', '/api/sound/upload');
+        xhr.send(formData);
+    });
+}
+
+function getSoundUploadSnapshot() {
+    return soundUploadQueue.map(item => ({
+        id: item.id,
+        fileName: item.file.name,
+        size: item.file.size,
+        status: item.status,
+        progress: item.progress,
+        message: item.message,
+        duplicateOf: item.duplicateOf
+    }));
+}
+
+// Coalesce progress events so the circuit isn't flooded
+function notifySoundUploadQueue() {
+    if (!soundUploadHelper || soundUploadNotifyTimer) return;
+
+    soundUploadNotifyTimer = setTimeout(async () => {
+        soundUploadNotifyTimer = null;
+        if (!soundUploadHelper) return;
+
+        try {
+            await soundUploadHelper.invokeMethodAsync('OnQueueChanged', getSoundUploadSnapshot());
+        } catch (error) {
+            // Component was disposed
+        }
+    }, UPLOAD_NOTIFY_INTERVAL_MS);
+}
+
+// Drop or paste onto a board; the element's data-upload-person-id/-name say whose board it is.
+// Videos and long recordings open the clip cutter instead of being uploaded whole.
+// Pasted audio URLs are fetched by the server, other pasted text is left alone.
+window.initializeSoundDropZone = function(element) {
+    window.registerPasteDropTarget(element, {
+        accept: ['audio/*', 'video/*', ...UPLOAD_AUDIO_EXTENSIONS, ...CUT_VIDEO_EXTENSIONS],
+        onFiles: async (files, source) => {
+            const personId = element.dataset.uploadPersonId;
+            if (!personId) return;
+
+            const { uploads, sources } = await window.splitSoundCutSources(files);
+            if (sources.length > 0) {
+                await openSoundCutter(sources[0]);
+                if (sources.length > 1) {
+                    alert(`Only one recording can be cut at a time. Drop the other ${sources.length - 1} once you're done with "${sources[0].file.name}".`);
+                }
+            }
+            if (uploads.length === 0) return;
+
+            const description = uploads.length === 1 ? `"${uploads[0].name}"` : `${uploads.length} files`;
+            if (source === 'paste' && !confirm(`Upload ${description} to ${element.dataset.uploadPersonName}'s soundboard?`)) return;
+
+            window.enqueueSoundUploads(personId, uploads);
+        },
+        acceptText: text => !!element.dataset.uploadPersonId && window.isHttpUrl(text),
+        onText: text => uploadPastedSoundUrl(element.dataset.uploadPersonId, element.dataset.uploadPersonName, text)
+    });
+};
+
+// Hand a long recording to the SoundUploadQueue component, which shows the cutter for it
+async function openSoundCutter(source) {
+    const descriptor = window.setSoundCutSource(source.file, source.duration);
+    if (!soundUploadHelper) return;
+
+    try {
+        await soundUploadHelper.invokeMethodAsync('OnCutSourceReady', descriptor);
+    } catch (error) {
+        // Component was disposed
+    }
+}
+
+window.disposeSoundDropZone = function(element) {
+    window.unregisterPasteDropTarget(element);
+};
+
+async function uploadPastedSoundUrl(personId, personName, text) {
+    const url = new URL(text);
+
+    // Check if URL might be an audio file
+    const audioExtensions = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac', '.mp4', '.webm'];
+    const urlPath = url.pathname.toLowerCase();
+    const isLikelyAudio = audioExtensions.some(ext => urlPath.endsWith(ext)) ||
+                        url.hostname.includes('soundcloud') ||
+                        url.hostname.includes('youtube') ||
+                        url.searchParams.has('format') ||
+                        urlPath.includes('audio');
+
+    const message = isLikelyAudio
+        ? `Upload audio from URL to ${personName}'s soundboard?\n\n${url.href}`
+        : `This URL doesn't appear to be an audio file:\n\n${url.href}\n\nTry uploading anyway?`;
+    if (!confirm(message)) return;
+
+    const result = await window.uploadSoundFromUrl(personId, url.href);
+    await window.notifySoundUploaded(result);
+}
@@ -1,62 +1,145 @@
 // Soundboard JavaScript functionality with audio caching
 
 let audioCache = new Map();
+let clipMetadata = new Map(); // Server hash and file size by sound URL, used to validate cached copies
 let audioContext;
 let isInitialized = false;
 let globalVolumeMultiplier = 0.3; // Default to 30% for safety
-let currentPersonId = null; // Store current person ID for paste functionality
-let activeAudioElements = new Map(); // Track active audio elements by button
+let activeAudioElements = new Map(); // Track active voices (audio element + mixer nodes) by button
+
+// Master bus: clip voices -> master gain (global volume) -> limiter -> speakers
+let masterGainNode = null;
+let masterLimiterNode = null;
+let maxPolyphony = 4; // Oldest clip is stopped when this many are already playing
+let duckingEnabled = true;
+const DUCKED_GAIN = 0.35; // Gain applied to older clips while a newer one plays
+const GAIN_RAMP_SECONDS = 0.08;
+
+// Per-clip loudness normalization gains by sound URL (from the server or measured here)
+let clipGains = new Map();
+let pendingLoudnessMeasurements = new Set();
+
+// Keyboard hotkeys: sound ID -> chord (e.g. "1", "Q", "Ctrl+Shift+K") for the current person
+let hotkeyBindings = new Map();
+let hotkeysArmed = false;
+let hotkeyCaptureResolver = null;
+const DEFAULT_HOTKEY_LAYOUT = [
+    '1', '2', '3', '4', '5', '6', '7', '8', '9', '0',
+    'Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P',
+    'A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L',
+    'Z', 'X', 'C', 'V', 'B', 'N', 'M'
+];
+
+// Sequences and random/shuffle playback
+let activeSequence = null;
+let lastRandomSoundUrl = null;
+
+// Party mode - while this device is a remote, clips are sent to the speaker instead of played here
+let partyRemoteHelper = null; // DotNetObjectReference of the SoundboardPartyPanel component
+let lastPartyForward = { soundId: null, time: 0 };
+const PARTY_IDENTITY_KEY = 'soundboard_party_identity';
+const PARTY_DUPLICATE_CLICK_MS = 300;
+
+// Playback events - loading/playing/progress/ended/error per clip. Pushed to registered Blazor components
+// (OnPlaybackEvent) and dispatched on document as 'soundboardplayback' for plain pages like the offline board.
+let playbackListeners = new Map(); // Key chosen by the component -> DotNetObjectReference
+const PLAYBACK_PROGRESS_INTERVAL_MS = 250;
+const PLAYBACK_LOAD_TIMEOUT_MS = 10000;
+
+// Lock screen details for the board (person, movie and poster), set by the page - see mediaSession.js
+let soundboardMediaInfo = { artist: '', album: '', artwork: null };
+const MEDIA_SESSION_SEEK_SECONDS = 5;
 
 // Initialize the soundboard
 window.initializeSoundboard = function() {
     if (isInitialized) return;
     
     initializeAudioContext();
-    setupPasteHandler();
     initializeIndexedDB();
     setupFallbackEventHandlers();
     setupVolumeControlsForMobile();
     
-    // Load saved volume setting
+    // Load saved volume, mixer and hotkey settings
     loadSavedVolumeSettings();
-    
-    // Clear corrupted cache on initialization
-    setTimeout(() => {
-        clearCorruptedCache();
-    }, 2000);
+    loadSavedMixerSettings();
+    loadSavedHotkeysArmed();
     
     isInitialized = true;
-    
-    // Fix any stuck buttons on page load
-    fixStuckButtons();
 };
 
-// Fix buttons that might be stuck in loading/playing state
-function fixStuckButtons() {
-    const playButtons = document.querySelectorAll('.play-sound-btn');
-    playButtons.forEach(button => {
-        if (button.innerHTML.includes('Loading') || button.innerHTML.includes('Playing')) {
-            // Reset stuck buttons to original state
-            button.innerHTML = '<div style="font-size: 1.5rem; margin-bottom: 0.25rem;">▶️</div><small class="text-truncate w-100" style="font-size: 0.7rem; line-height: 1.1;">' + 
-                             (button.title || 'Play') + '</small>';
-            button.disabled = false;
-        }
-    });
+// Start receiving playback events; returns the clips already playing so the caller can catch up.
+// Listeners are kept by a key the component picks, because each interop call hands JS a new wrapper for the
+// same DotNetObjectReference and the wrapper can't be used to find it again.
+window.registerSoundboardPlayback = function(key, dotNetHelper) {
+    if (key && dotNetHelper) {
+        playbackListeners.set(key, dotNetHelper);
+    }
+    return Array.from(activeAudioElements.values()).map(voice => createPlaybackEvent(voice, voice.state));
+};
+
+window.unregisterSoundboardPlayback = function(key) {
+    playbackListeners.delete(key);
+};
+
+function createPlaybackEvent(voice, state, error) {
+    const timing = getVoiceTiming(voice);
+    return {
+        soundId: voice.soundId || null,
+        url: voice.url,
+        state: state,
+        position: timing.position,
+        duration: timing.duration,
+        error: error || null
+    };
+}
+
+// Position and length within the trimmed region, in seconds; duration is null until the metadata has loaded
+function getVoiceTiming(voice) {
+    const audio = voice.audio;
+    const start = voice.trim ? voice.trim.start : 0;
+    const end = voice.trim && voice.trim.end !== null ? voice.trim.end : audio.duration;
+    const duration = isFinite(end) ? Math.max(0, end - start) : null;
+    const position = Math.max(0, (audio.currentTime || 0) - start);
+    return { position: duration !== null ? Math.min(position, duration) : position, duration: duration };
+}
+
+function emitPlayback(voice, state, error) {
+    voice.state = state === 'progress' ? voice.state : state;
+    const payload = createPlaybackEvent(voice, state, error);
     
-    // Clear any orphaned audio elements
-    activeAudioElements.clear();
+    playbackListeners.forEach((helper, key) => {
+        helper.invokeMethodAsync('OnPlaybackEvent', payload).catch(() => {
+            // Component was disposed
+            playbackListeners.delete(key);
+        });
+    });
+    document.dispatchEvent(new CustomEvent('soundboardplayback', { detail: payload }));
+}
+
+function describeMediaError(audio) {
+    switch (audio.error?.code) {
+        case 2: return 'Network error while loading the clip';
+        case 3: return 'The clip could not be decoded';
+        case 4: return 'This browser can\'t play this clip';
+        default: return 'The clip could not be played';
+    }
 }
 
 // Set global volume multiplier
 window.setGlobalVolume = function(volumeLevel) {
     globalVolumeMultiplier = Math.max(0, Math.min(1, volumeLevel)); // Clamp between 0 and 1
     
-    // Update volume of all currently playing audio elements
-    activeAudioElements.forEach((audio, buttonId) => {
-        if (audio && !audio.ended && !audio.paused) {
-            audio.volume = Math.min(globalVolumeMultiplier, 1.0);
-        }
-    });
+    if (masterGainNode) {
+        // All voices share the master bus, so one ramp covers every playing clip
+        masterGainNode.gain.setTargetAtTime(globalVolumeMultiplier, audioContext.currentTime, GAIN_RAMP_SECONDS / 3);
+    } else {
+        // No Web Audio support - update each playing element directly
+        activeAudioElements.forEach(voice => {
+            if (voice.audio && !voice.audio.ended && !voice.audio.paused) {
+                voice.audio.volume = Math.min(globalVolumeMultiplier, 1.0);
+            }
+        });
+    }
     
     // Store volume setting in localStorage for persistence across sessions
     try {
@@ -66,11 +149,236 @@ window.setGlobalVolume = function(volumeLevel) {
     }
 };
 
-// Set current person ID for paste functionality
-window.setCurrentPersonId = function(personId) {
-    currentPersonId = personId;
+// Set the maximum number of clips that may play at once
+window.setSoundboardPolyphony = function(limit) {
+    const parsed = parseInt(limit);
+    if (isNaN(parsed)) return;
+    
+    maxPolyphony = Math.max(1, Math.min(16, parsed));
+    enforcePolyphonyLimit(0);
+    
+    try {
+        localStorage.setItem('soundboard_polyphony', maxPolyphony);
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+};
+
+// Enable or disable auto-ducking of older clips when a new one starts
+window.setSoundboardDucking = function(enabled) {
+    duckingEnabled = !!enabled;
+    applyDucking();
+    
+    try {
+        localStorage.setItem('soundboard_ducking', duckingEnabled);
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+};
+
+// Current mixer settings so Blazor can reflect what was restored from localStorage
+window.getSoundboardMixerSettings = function() {
+    return {
+        maxPolyphony: maxPolyphony,
+        duckingEnabled: duckingEnabled
+    };
+};
+
+// Panic button - stop every clip that is currently playing
+window.stopAllSounds = function() {
+    window.stopSoundSequence();
+    Array.from(activeAudioElements.keys()).forEach(buttonId => stopVoice(buttonId));
+};
+
+// Play clips back-to-back: steps are [{url, gapAfter}]. Options: name, shuffle, loop, and
+// dotNetHelper to receive OnSequenceProgress(name, position, count) / OnSequenceEnded(name).
+window.playSoundSequence = function(steps, options) {
+    window.stopSoundSequence();
+    if (!steps || steps.length === 0) return false;
+    
+    const sequence = {
+        name: options?.name || '',
+        dotNetHelper: options?.dotNetHelper || null,
+        cancelled: false,
+        currentButtonId: null,
+        gapTimer: null,
+        endGap: null
+    };
+    activeSequence = sequence;
+    
+    // Runs in the background so long sequences don't hold up the interop call
+    runSoundSequence(sequence, steps, !!options?.shuffle, !!options?.loop);
+    return true;
+};
+
+window.stopSoundSequence = function() {
+    const sequence = activeSequence;
+    if (!sequence) return;
+    
+    activeSequence = null;
+    sequence.cancelled = true;
+    clearTimeout(sequence.gapTimer);
+    if (sequence.endGap) {
+        sequence.endGap();
+    }
+    if (sequence.currentButtonId) {
+        stopVoice(sequence.currentButtonId);
+    }
+    notifySequence(sequence, 'OnSequenceEnded', sequence.name);
 };
 
+// Play one clip at random from the board, avoiding the one picked last time
+window.playRandomSound = function() {
+    const urls = Array.from(document.querySelectorAll('.play-sound-btn[data-sound-url]'))
+        .filter(button => !(button.hasAttribute('data-offline') && button.disabled))
+        .map(button => button.dataset.soundUrl);
+    if (urls.length === 0) return null;
+    
+    const candidates = urls.length > 1 ? urls.filter(url => url !== lastRandomSoundUrl) : urls;
+    const url = candidates[Math.floor(Math.random() * candidates.length)];
+    lastRandomSoundUrl = url;
+    window.triggerSoundboardClip(url);
+    return url;
+};
+
+async function runSoundSequence(sequence, steps, shuffle, loop) {
+    do {
+        const order = shuffle ? shuffleSteps(steps) : steps;
+        for (let i = 0; i < order.length; i++) {
+            if (sequence.cancelled) return;
+            
+            notifySequence(sequence, 'OnSequenceProgress', sequence.name, i + 1, order.length);
+            await playSoundAndWait(sequence, order[i].url);
+            if (sequence.cancelled) return;
+            
+            const isLast = i === order.length - 1;
+            if (order[i].gapAfter > 0 && (!isLast || loop)) {
+                await new Promise(resolve => {
+                    sequence.endGap = resolve;
+                    sequence.gapTimer = setTimeout(resolve, order[i].gapAfter * 1000);
+                });
+                sequence.endGap = null;
+            }
+        }
+    } while (loop && !sequence.cancelled);
+    
+    if (activeSequence === sequence) {
+        activeSequence = null;
+        notifySequence(sequence, 'OnSequenceEnded', sequence.name);
+    }
+}
+
+// Resolves once the clip has finished, been stopped or failed to play
+async function playSoundAndWait(sequence, url) {
+    const buttonId = await window.playSound(url);
+    const voice = buttonId ? activeAudioElements.get(buttonId) : null;
+    if (!voice) return;
+    
+    sequence.currentButtonId = buttonId;
+    await new Promise(resolve => {
+        voice.onReleased = resolve;
+    });
+    sequence.currentButtonId = null;
+}
+
+// Fisher-Yates shuffle into a new array
+function shuffleSteps(steps) {
+    const shuffled = steps.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+function notifySequence(sequence, method, ...args) {
+    if (!sequence.dotNetHelper) return;
+    sequence.dotNetHelper.invokeMethodAsync(method, ...args).catch(() => {
+        // Component was disposed
+    });
+}
+
+// Turn remote mode on (with the party panel's helper) or off (with null)
+window.setSoundboardPartyRemote = function(dotNetHelper) {
+    partyRemoteHelper = dotNetHelper || null;
+    document.body.classList.toggle('soundboard-party-remote', !!partyRemoteHelper);
+};
+
+// Every button, hotkey, search result and random pick goes through here so remote mode catches them all.
+// clip carries gain/trim for sounds with no button on this page, as in playSound.
+window.triggerSoundboardClip = function(url, clip) {
+    if (!partyRemoteHelper) {
+        return window.playSound(url, clip);
+    }
+    
+    const button = findPlayButtonForUrl(url);
+    const soundId = button ? button.dataset.soundId : (clip ? clip.soundId : null);
+    if (!soundId) return null;
+    
+    // Blazor and the fallback click handler can both see the same click
+    const now = Date.now();
+    if (lastPartyForward.soundId === soundId && now - lastPartyForward.time < PARTY_DUPLICATE_CLICK_MS) return null;
+    lastPartyForward = { soundId: soundId, time: now };
+    
+    partyRemoteHelper.invokeMethodAsync('OnRemotePlay', soundId).catch(() => {
+        // Component was disposed
+    });
+    return soundId;
+};
+
+window.triggerSoundboardStop = function() {
+    if (!partyRemoteHelper) {
+        window.stopAllSounds();
+        return;
+    }
+    
+    // Sequences still play locally on a remote
+    window.stopSoundSequence();
+    partyRemoteHelper.invokeMethodAsync('OnRemoteStop').catch(() => {
+        // Component was disposed
+    });
+};
+
+// Speaker side: play a clip sent from another device, which may not be on this board
+window.playPartySound = function(clip) {
+    if (!clip || !clip.url) return;
+    // Not awaited, so the sender isn't held up while the clip downloads
+    window.playSound(clip.url, clip);
+};
+
+// A per-browser id (for rate limiting) and the name shown on the speaker
+window.getSoundboardPartyIdentity = function() {
+    let identity = null;
+    try {
+        identity = JSON.parse(localStorage.getItem(PARTY_IDENTITY_KEY) || 'null');
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+    
+    if (!identity || !identity.clientId) {
+        const clientId = window.crypto && window.crypto.randomUUID
+            ? window.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        identity = { clientId: clientId, name: identity?.name || '' };
+        saveSoundboardPartyIdentity(identity);
+    }
+    return identity;
+};
+
+window.saveSoundboardPartyName = function(name) {
+    const identity = window.getSoundboardPartyIdentity();
+    identity.name = (name || '').trim();
+    saveSoundboardPartyIdentity(identity);
+};
+
+function saveSoundboardPartyIdentity(identity) {
+    try {
+        localStorage.setItem(PARTY_IDENTITY_KEY, JSON.stringify(identity));
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+}
+
 // Load saved volume settings from localStorage
 function loadSavedVolumeSettings() {
     try {
@@ -94,6 +402,23 @@ function loadSavedVolumeSettings() {
     }
 }
 
+// Load saved polyphony and ducking settings from localStorage
+function loadSavedMixerSettings() {
+    try {
+        const savedPolyphony = parseInt(localStorage.getItem('soundboard_polyphony'));
+        if (!isNaN(savedPolyphony) && savedPolyphony >= 1 && savedPolyphony <= 16) {
+            maxPolyphony = savedPolyphony;
+        }
+        
+        const savedDucking = localStorage.getItem('soundboard_ducking');
+        if (savedDucking !== null) {
+            duckingEnabled = savedDucking === 'true';
+        }
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+}
+
 // Setup enhanced volume controls for mobile devices
 function setupVolumeControlsForMobile() {
     // Add event listeners for volume slider with mobile support
@@ -150,10 +475,23 @@ function handleVolumeTouch(event) {
     }, 10);
 }
 
-// Auto-cache all sounds for a person when their soundboard is visited
-window.preloadPersonSounds = async function(sounds) {
+// Auto-cache all sounds for a person when their soundboard is visited.
+// board ({personId, name, path}) also saves the clip list for the offline page.
+window.preloadPersonSounds = async function(sounds, board) {
     if (!sounds || !Array.isArray(sounds)) return;
     
+    if (board) {
+        saveOfflineBoard(sounds, board);
+    }
+    
+    // Remember known normalization gains and server file details before anything plays
+    sounds.forEach(sound => {
+        if (!sound.url) return;
+        if (typeof sound.normalizationGain === 'number') {
+            clipGains.set(sound.url, sound.normalizationGain);
+        }
+        clipMetadata.set(sound.url, { hash: sound.hash || null, fileSize: sound.fileSize || 0 });
+    });
     
     // Cache sounds in background without blocking UI
     setTimeout(async () => {
@@ -161,28 +499,234 @@ window.preloadPersonSounds = async function(sounds) {
         for (const sound of sounds) {
             try {
                 if (sound.url) {
-                    await cacheSound(sound.url);
+                    const cached = await cacheSound(sound.url);
                     cachedCount++;
+                    
+                    // Measure loudness once for clips the server hasn't analyzed yet
+                    if (cached && sound.id && typeof sound.normalizationGain !== 'number') {
+                        await measureAndReportLoudness(sound.id, sound.url, cached);
+                    }
                 }
             } catch (error) {
             }
         }
+        
+        scheduleCacheEviction();
     }, 100); // Small delay to not block initial page render
 };
 
-// Expose button fix function globally
-window.fixStuckButtons = fixStuckButtons;
+// Boards saved for offline use, keyed by person ID
+window.getOfflineSoundboards = function() {
+    try {
+        return JSON.parse(localStorage.getItem('soundboard_offline_boards')) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+function saveOfflineBoard(sounds, board) {
+    if (!board.personId) return;
+    
+    try {
+        const boards = window.getOfflineSoundboards();
+        boards[board.personId] = {
+            personId: board.personId,
+            name: board.name,
+            path: board.path,
+            savedAt: Date.now(),
+            sounds: sounds.map(sound => ({
+                id: sound.id,
+                url: sound.url,
+                originalFileName: sound.originalFileName,
+                title: sound.title,
+                normalizationGain: sound.normalizationGain,
+                trimStart: sound.trimStart,
+                trimEnd: sound.trimEnd,
+                fadeIn: sound.fadeIn,
+                fadeOut: sound.fadeOut,
+                hash: sound.hash,
+                fileSize: sound.fileSize
+            }))
+        };
+        localStorage.setItem('soundboard_offline_boards', JSON.stringify(boards));
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+}
+
+// Decode a cached clip, measure its integrated loudness and store the result on the server
+async function measureAndReportLoudness(soundId, url, cached) {
+    if (!audioContext || pendingLoudnessMeasurements.has(soundId)) return;
+    pendingLoudnessMeasurements.add(soundId);
+    
+    try {
+        const arrayBuffer = cached.arrayBuffer
+            ? cached.arrayBuffer.slice(0) // decodeAudioData detaches the buffer it is given
+            : await cached.blob.arrayBuffer();
+        const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+        const loudness = await measureIntegratedLoudness(audioBuffer);
+        if (!isFinite(loudness)) return;
+        
+        const response = await fetch(`/api/sound/${soundId}/loudness`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                loudness: loudness,
+                duration: audioBuffer.duration
+            })
+        });
+        
+        if (response.ok) {
+            const result = await response.json();
+            clipGains.set(url, result.normalizationGain);
+        }
+    } catch (error) {
+        // Undecodable clips simply play without normalization
+    } finally {
+        pendingLoudnessMeasurements.delete(soundId);
+    }
+}
+
+// Integrated loudness in LUFS following ITU-R BS.1770 (K-weighting, 400 ms blocks, two-stage gating)
+async function measureIntegratedLoudness(audioBuffer) {
+    const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const offline = new OfflineContext(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+    
+    const source = offline.createBufferSource();
+    source.buffer = audioBuffer;
+    
+    // K-weighting: high-shelf pre-filter followed by the RLB high-pass
+    const shelf = offline.createBiquadFilter();
+    shelf.type = 'highshelf';
+    shelf.frequency.value = 1681;
+    shelf.gain.value = 4;
+    
+    const highPass = offline.createBiquadFilter();
+    highPass.type = 'highpass';
+    highPass.frequency.value = 38;
+    highPass.Q.value = 0.5;
+    
+    source.connect(shelf);
+    shelf.connect(highPass);
+    highPass.connect(offline.destination);
+    source.start();
+    
+    const weighted = await offline.startRendering();
+    const blockSize = Math.round(weighted.sampleRate * 0.4);
+    const hopSize = Math.round(blockSize / 4); // 75% overlap
+    const channels = [];
+    for (let c = 0; c < weighted.numberOfChannels; c++) {
+        channels.push(weighted.getChannelData(c));
+    }
+    
+    // Short clips still get one block covering everything
+    const blockPowers = [];
+    const lastStart = Math.max(0, weighted.length - blockSize);
+    for (let start = 0; start <= lastStart; start += hopSize) {
+        const end = Math.min(start + blockSize, weighted.length);
+        let power = 0;
+        for (const data of channels) {
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                sum += data[i] * data[i];
+            }
+            power += sum / (end - start);
+        }
+        blockPowers.push(power);
+    }
+    
+    const toLufs = power => -0.691 + 10 * Math.log10(power);
+    const meanPower = powers => powers.reduce((total, p) => total + p, 0) / powers.length;
+    
+    const absoluteGated = blockPowers.filter(p => p > 0 && toLufs(p) > -70);
+    if (absoluteGated.length === 0) return -Infinity;
+    
+    const relativeThreshold = toLufs(meanPower(absoluteGated)) - 10;
+    const relativeGated = absoluteGated.filter(p => toLufs(p) > relativeThreshold);
+    
+    return toLufs(meanPower(relativeGated.length > 0 ? relativeGated : absoluteGated));
+}
+
+// Saved trim/fade settings rendered on the clip's button (or sent with a party clip), or null when untrimmed
+function getClipTrim(source) {
+    if (!source) return null;
+    
+    const data = source.dataset || source;
+    const read = name => {
+        const value = parseFloat(data[name]);
+        return isNaN(value) ? null : value;
+    };
+    
+    const trim = {
+        start: read('trimStart') || 0,
+        end: read('trimEnd'),
+        fadeIn: read('fadeIn') || 0,
+        fadeOut: read('fadeOut') || 0
+    };
+    
+    if (trim.start <= 0 && trim.end === null && trim.fadeIn <= 0 && trim.fadeOut <= 0) {
+        return null;
+    }
+    return trim;
+}
+
+// Apply fades and schedule the stop at the trim end once playback has really started
+function scheduleTrim(voice, trim) {
+    const audio = voice.audio;
+    const endPosition = trim.end !== null ? Math.min(trim.end, audio.duration || trim.end) : audio.duration;
+    const remaining = Math.max(0, endPosition - audio.currentTime);
+    
+    if (voice.fadeNode) {
+        const fade = voice.fadeNode.gain;
+        const now = audioContext.currentTime;
+        fade.cancelScheduledValues(now);
+        
+        if (trim.fadeIn > 0) {
+            fade.setValueAtTime(0, now);
+            fade.linearRampToValueAtTime(1, now + trim.fadeIn);
+        } else {
+            fade.setValueAtTime(1, now);
+        }
+        
+        if (trim.fadeOut > 0 && isFinite(remaining) && remaining > trim.fadeOut) {
+            fade.setValueAtTime(1, now + remaining - trim.fadeOut);
+            fade.linearRampToValueAtTime(0, now + remaining);
+        }
+    }
+    
+    if (trim.end !== null && isFinite(remaining)) {
+        clearTimeout(voice.trimTimer);
+        voice.trimTimer = setTimeout(() => audio.pause(), remaining * 1000);
+    }
+}
+
+// Normalization gain for a clip, preferring measured values over the rendered attribute
+function getClipGain(url, source) {
+    if (clipGains.has(url)) {
+        return clipGains.get(url);
+    }
+    
+    const data = source ? (source.dataset || source) : null;
+    const attributeGain = data ? parseFloat(data.normalizationGain) : NaN;
+    return isNaN(attributeGain) ? 1.0 : attributeGain;
+}
 
 // Setup fallback event handlers in case Blazor events fail
 function setupFallbackEventHandlers() {
     // Add click event listeners to play buttons as fallback
     document.addEventListener('click', function(e) {
-        if (e.target.classList.contains('play-sound-btn')) {
-            const soundUrl = e.target.getAttribute('data-sound-url');
-            const soundId = e.target.getAttribute('data-sound-id');
+        const button = e.target.closest ? e.target.closest('.play-sound-btn') : null;
+        if (!button) return;
+        
+        // Blazor handles clicks inside the button while connected; offline, this handler plays them all
+        const offline = !navigator.onLine || button.hasAttribute('data-offline');
+        if (e.target === button || offline) {
+            const soundUrl = button.getAttribute('data-sound-url');
             
             if (soundUrl) {
-                window.playSound(soundUrl);
+                window.triggerSoundboardClip(soundUrl);
                 
                 // Prevent default and stop propagation
                 e.preventDefault();
@@ -190,179 +734,360 @@ function setupFallbackEventHandlers() {
             }
         }
     });
+    
+    // Keyboard hotkeys trigger the same play path as the buttons
+    document.addEventListener('keydown', handleHotkeyDown, true);
+    document.addEventListener('keydown', handleSearchShortcut);
 }
 
-// Clear corrupted cache entries
-window.clearSoundboardCache = function() {
-    clearCorruptedCache();
+// Hotkey handling - only while armed and never while the user is typing
+function handleHotkeyDown(e) {
+    if (hotkeyCaptureResolver) {
+        captureHotkey(e);
+        return;
+    }
+    
+    if (!hotkeysArmed || e.repeat || isTypingTarget(e.target)) return;
+    
+    const chord = getChordFromEvent(e);
+    if (!chord) return;
+    
+    if (chord === 'Escape') {
+        window.triggerSoundboardStop();
+        e.preventDefault();
+        return;
+    }
+    
+    for (const [soundId, boundChord] of hotkeyBindings) {
+        if (boundChord === chord) {
+            const button = document.querySelector(`.play-sound-btn[data-sound-id="${soundId}"]`);
+            const soundUrl = button?.getAttribute('data-sound-url');
+            if (soundUrl) {
+                e.preventDefault();
+                window.triggerSoundboardClip(soundUrl);
+            }
+            return;
+        }
+    }
+}
+
+// "/" jumps to the clip search box, as on most sites with a search
+function handleSearchShortcut(e) {
+    // A "/" hotkey binding has already handled the key
+    if (e.defaultPrevented || e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+    
+    const search = document.getElementById('soundboard-search');
+    if (search) {
+        e.preventDefault();
+        search.focus();
+        search.select();
+    }
+}
+
+function isTypingTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    
+    const tagName = target.tagName;
+    if (tagName === 'TEXTAREA' || tagName === 'SELECT') return true;
+    if (tagName !== 'INPUT') return false;
+    
+    // Checkboxes, sliders and buttons don't take text
+    const nonTextTypes = ['checkbox', 'radio', 'range', 'button', 'submit', 'reset', 'file', 'color'];
+    return !nonTextTypes.includes((target.type || 'text').toLowerCase());
+}
+
+// Normalize a keydown into a chord string such as "Ctrl+Shift+K"
+function getChordFromEvent(e) {
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+    
+    let key;
+    if (/^Digit\d$/.test(e.code)) {
+        key = e.code.substring(5);
+    } else if (/^Numpad\d$/.test(e.code)) {
+        key = 'Num' + e.code.substring(6);
+    } else if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.substring(3);
+    } else if (e.key && e.key.length === 1) {
+        key = e.key.toUpperCase();
+    } else {
+        key = e.key;
+    }
+    
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push('Ctrl');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+    if (e.metaKey) modifiers.push('Meta');
+    
+    return [...modifiers, key].join('+');
+}
+
+function captureHotkey(e) {
+    const chord = getChordFromEvent(e);
+    if (!chord) return; // Wait for a non-modifier key
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const resolve = hotkeyCaptureResolver;
+    hotkeyCaptureResolver = null;
+    resolve(chord === 'Escape' ? null : chord);
+}
+
+// Wait for the next key chord; resolves null if the user presses Escape
+window.captureSoundboardHotkey = function() {
+    if (hotkeyCaptureResolver) {
+        hotkeyCaptureResolver(null);
+    }
+    
+    return new Promise(resolve => {
+        hotkeyCaptureResolver = resolve;
+    });
+};
+
+// Stop waiting for a chord, e.g. when the interop call timed out or the page is being left, so the next key
+// press isn't swallowed
+window.cancelSoundboardHotkeyCapture = function() {
+    const resolve = hotkeyCaptureResolver;
+    hotkeyCaptureResolver = null;
+    if (resolve) {
+        resolve(null);
+    }
+};
+
+// Load a person's saved bindings, falling back to the default 1-9/QWERTY layout
+window.loadSoundboardHotkeys = function(personId, soundIds) {
+    let saved = null;
+    try {
+        const raw = localStorage.getItem(`soundboard_hotkeys_${personId}`);
+        saved = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        saved = null;
+    }
+    
+    const bindings = {};
+    if (saved && typeof saved === 'object') {
+        (soundIds || []).forEach(soundId => {
+            if (typeof saved[soundId] === 'string' && saved[soundId]) {
+                bindings[soundId] = saved[soundId];
+            }
+        });
+    } else {
+        (soundIds || []).slice(0, DEFAULT_HOTKEY_LAYOUT.length).forEach((soundId, index) => {
+            bindings[soundId] = DEFAULT_HOTKEY_LAYOUT[index];
+        });
+    }
+    
+    hotkeyBindings = new Map(Object.entries(bindings));
+    return bindings;
+};
+
+// Save a person's bindings (sound ID -> chord)
+window.saveSoundboardHotkeys = function(personId, bindings) {
+    hotkeyBindings = new Map(Object.entries(bindings || {}));
+    
+    try {
+        localStorage.setItem(`soundboard_hotkeys_${personId}`, JSON.stringify(bindings || {}));
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+};
+
+// Forget a person's custom bindings so the default layout applies again
+window.resetSoundboardHotkeys = function(personId, soundIds) {
+    try {
+        localStorage.removeItem(`soundboard_hotkeys_${personId}`);
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+    
+    return window.loadSoundboardHotkeys(personId, soundIds);
+};
+
+window.setSoundboardHotkeysArmed = function(armed) {
+    hotkeysArmed = !!armed;
+    
+    try {
+        localStorage.setItem('soundboard_hotkeys_armed', hotkeysArmed);
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+};
+
+window.getSoundboardHotkeysArmed = function() {
+    return hotkeysArmed;
+};
+
+function loadSavedHotkeysArmed() {
+    try {
+        hotkeysArmed = localStorage.getItem('soundboard_hotkeys_armed') === 'true';
+    } catch (e) {
+        // Ignore localStorage errors
+    }
+}
+
+// Favorites are kept per browser, in the order they were added
+window.getSoundboardFavorites = function() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('soundboard_favorites') || '[]');
+        return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+    } catch (e) {
+        return [];
+    }
 };
 
-
-function clearCorruptedCache() {
-    if (!db) return;
-    
+window.saveSoundboardFavorites = function(soundIds) {
     try {
-        const transaction = db.transaction(['blobCache'], 'readwrite');
-        const objectStore = transaction.objectStore('blobCache');
-        const clearRequest = objectStore.clear();
-        
-        clearRequest.onsuccess = function() {
-            audioCache.clear();
-        };
-    } catch (error) {
+        localStorage.setItem('soundboard_favorites', JSON.stringify(soundIds || []));
+    } catch (e) {
+        // Ignore localStorage errors
     }
-}
+};
+
+// Kept for existing callers - drops every cached clip
+window.clearSoundboardCache = function() {
+    return window.purgeSoundboardCache();
+};
 
-// Initialize Web Audio API
+// Initialize Web Audio API and the shared master bus
 function initializeAudioContext() {
     try {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        
+        masterGainNode = audioContext.createGain();
+        masterGainNode.gain.value = globalVolumeMultiplier;
+        
+        // Brick-wall style limiter so stacked clips don't clip the output
+        masterLimiterNode = audioContext.createDynamicsCompressor();
+        masterLimiterNode.threshold.value = -3;
+        masterLimiterNode.knee.value = 0;
+        masterLimiterNode.ratio.value = 20;
+        masterLimiterNode.attack.value = 0.003;
+        masterLimiterNode.release.value = 0.25;
+        
+        masterGainNode.connect(masterLimiterNode);
+        masterLimiterNode.connect(audioContext.destination);
     } catch (e) {
         // Fallback to HTML audio
+        audioContext = null;
+        masterGainNode = null;
+        masterLimiterNode = null;
     }
 }
 
-// Setup paste event handler for audio files and URLs
-function setupPasteHandler() {
-    document.addEventListener('paste', async (e) => {
-        const items = e.clipboardData?.items;
-        if (!items) return;
-
-        // Check if we're on a person-specific soundboard page
-        const pathMatch = window.location.pathname.match(/\/soundboard\/(.+)$/);
-        if (!pathMatch) {
-            // We're on the main soundboard page
-            alert('Please select a person first to add audio clips.');
-            return;
-        }
-
-        const personName = decodeURIComponent(pathMatch[1]);
-        let handled = false;
-
-        // Check for audio files first
-        for (let item of items) {
-            if (item.type.startsWith('audio/')) {
-                e.preventDefault();
-                const file = item.getAsFile();
-                if (file) {
-                    handled = true;
-                    await handlePastedAudioFile(file, personName);
-                }
-                break;
-            }
-        }
-
-        // If no audio file found, check for text/URLs
-        if (!handled) {
-            for (let item of items) {
-                if (item.type === 'text/plain') {
-                    e.preventDefault();
-                    const text = await new Promise(resolve => {
-                        item.getAsString(resolve);
-                    });
-                    
-                    if (text && text.trim()) {
-                        await handlePastedText(text.trim(), personName);
-                        handled = true;
-                    }
-                    break;
-                }
-            }
+// Route an audio element through the master bus, returning the voice that tracks it
+function createVoice(audio, clipGain = 1.0) {
+    const voice = {
+        audio: audio,
+        sourceNode: null,
+        gainNode: null, // Normalization and ducking
+        fadeNode: null, // Trim fades
+        baseGain: clipGain,
+        startedAt: Date.now(),
+        trimTimer: null,
+        watchdogTimer: null, // Releases the voice if loading or playback stalls
+        soundId: null,
+        url: null,
+        trim: null,
+        state: 'loading'
+    };
+    
+    if (audioContext && masterGainNode) {
+        try {
+            voice.sourceNode = audioContext.createMediaElementSource(audio);
+            voice.gainNode = audioContext.createGain();
+            voice.fadeNode = audioContext.createGain();
+            voice.sourceNode.connect(voice.gainNode);
+            voice.gainNode.connect(voice.fadeNode);
+            voice.fadeNode.connect(masterGainNode);
+            // The master gain carries the volume, so the element itself plays at full level
+            audio.volume = 1.0;
+        } catch (e) {
+            voice.sourceNode = null;
+            voice.gainNode = null;
+            voice.fadeNode = null;
         }
-    });
+    }
+    
+    if (!voice.gainNode) {
+        // HTML audio can only attenuate, so boosts are lost without Web Audio
+        audio.volume = Math.min(globalVolumeMultiplier * clipGain, 1.0);
+    }
+    
+    return voice;
 }
 
-// Handle pasted audio file
-async function handlePastedAudioFile(file, personName) {
+// Disconnect a voice from the mixer, stop tracking it and report it ended (or failed, with an error message)
+function releaseVoice(buttonId, voice, error) {
+    if (activeAudioElements.get(buttonId) !== voice) return;
+    
+    activeAudioElements.delete(buttonId);
+    clearTimeout(voice.trimTimer);
+    clearTimeout(voice.watchdogTimer);
+    emitPlayback(voice, error ? 'error' : 'ended', error);
+    
+    // Wake anything waiting for this clip to finish (sequences)
+    if (voice.onReleased) {
+        voice.onReleased();
+    }
+    
+    // Keep the lock screen controls so the last clip can be replayed from there
+    if (activeAudioElements.size === 0 && window.setMediaSessionState) {
+        window.setMediaSessionState('soundboard', 'paused');
+    }
+    
     try {
-        const confirmed = confirm(`Upload "${file.name}" to ${personName}'s soundboard?`);
-        if (!confirmed) return;
-
-        // Get person ID and upload
-        const personId = await getPersonIdFromPage();
-        if (personId) {
-            await window.uploadSoundFile(personId, file);
-            // Give a brief delay then refresh to show new sound
-            setTimeout(() => {
-                window.location.reload();
-            }, 1000);
-        } else {
-            alert('Could not determine person ID. Please try using the Upload Files button.');
-        }
-    } catch (error) {
-        alert('Error uploading audio file: ' + error.message);
+        voice.sourceNode?.disconnect();
+        voice.gainNode?.disconnect();
+        voice.fadeNode?.disconnect();
+    } catch (e) {
+        // Nodes may already be disconnected
     }
+    
+    applyDucking();
 }
 
-// Handle pasted text (URLs)
-async function handlePastedText(text, personName) {
-    try {
-        // Check if it's a URL
-        let url;
-        try {
-            url = new URL(text);
-        } catch {
-            // Not a valid URL
-            return;
-        }
+// Stop a playing voice and release it from the mixer
+function stopVoice(buttonId) {
+    const voice = activeAudioElements.get(buttonId);
+    if (!voice) return;
+    
+    // Release first so the pause below isn't mistaken for the clip ending on its own
+    releaseVoice(buttonId, voice);
+    voice.audio.pause();
+    voice.audio.currentTime = 0;
+}
 
-        // Check if URL might be an audio file
-        const audioExtensions = ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac', '.mp4', '.webm'];
-        const urlPath = url.pathname.toLowerCase();
-        const isLikelyAudio = audioExtensions.some(ext => urlPath.endsWith(ext)) || 
-                            url.hostname.includes('soundcloud') || 
-                            url.hostname.includes('youtube') ||
-                            url.searchParams.has('format') ||
-                            urlPath.includes('audio');
-
-        if (isLikelyAudio) {
-            const confirmed = confirm(`Upload audio from URL to ${personName}'s soundboard?\n\n${url.href}`);
-            if (!confirmed) return;
-
-            // Get person ID and upload
-            const personId = await getPersonIdFromPage();
-            if (personId) {
-                await window.uploadSoundFromUrl(personId, url.href);
-                // Give a brief delay then refresh to show new sound
-                setTimeout(() => {
-                    window.location.reload();
-                }, 1000);
-            } else {
-                alert('Could not determine person ID. Please try using the Add URL button.');
-            }
-        } else {
-            // Show a helpful message for non-audio URLs
-            const tryAnyway = confirm(`This URL doesn't appear to be an audio file:\n\n${url.href}\n\nTry uploading anyway?`);
-            if (tryAnyway) {
-                const personId = await getPersonIdFromPage();
-                if (personId) {
-                    await window.uploadSoundFromUrl(personId, url.href);
-                    // Give a brief delay then refresh to show new sound
-                    setTimeout(() => {
-                        window.location.reload();
-                    }, 1000);
-                }
-            }
-        }
-    } catch (error) {
-        alert('Error processing URL: ' + error.message);
+// Stop the oldest voices until there is room for the given number of new ones
+function enforcePolyphonyLimit(incomingVoices) {
+    const voices = Array.from(activeAudioElements.entries())
+        .sort((a, b) => a[1].startedAt - b[1].startedAt);
+    
+    let excess = voices.length + incomingVoices - maxPolyphony;
+    for (const [buttonId] of voices) {
+        if (excess <= 0) break;
+        stopVoice(buttonId);
+        excess--;
     }
 }
 
-// Get person ID from current page context
-async function getPersonIdFromPage() {
-    // First try the stored person ID
-    if (currentPersonId) {
-        return currentPersonId;
-    }
+// Newest voice plays at full level; older ones are ducked while it plays
+function applyDucking() {
+    if (!audioContext) return;
     
-    // Try to get from a button with data-person-id
-    const buttons = document.querySelectorAll('[data-person-id]');
-    if (buttons.length > 0) {
-        return buttons[0].getAttribute('data-person-id');
-    }
+    let newestVoice = null;
+    activeAudioElements.forEach(voice => {
+        if (!newestVoice || voice.startedAt > newestVoice.startedAt) {
+            newestVoice = voice;
+        }
+    });
     
-    return null;
+    activeAudioElements.forEach(voice => {
+        if (!voice.gainNode) return;
+        const duckFactor = duckingEnabled && voice !== newestVoice ? DUCKED_GAIN : 1.0;
+        voice.gainNode.gain.setTargetAtTime(voice.baseGain * duckFactor, audioContext.currentTime, GAIN_RAMP_SECONDS / 3);
+    });
 }
 
 // Get the currently selected person ID from the UI or URL
@@ -385,6 +1110,14 @@ function getSelectedPersonId() {
     return null;
 }
 
+// Pre-cache a freshly uploaded sound and measure its loudness while it's decoded
+async function cacheUploadedSound(result) {
+    const cached = await cacheSound(result.url);
+    if (cached) {
+        await measureAndReportLoudness(result.id, result.url, cached);
+    }
+}
+
 // Trigger file input
 window.triggerFileInput = function(fileInput) {
     fileInput.click();
@@ -395,12 +1128,15 @@ window.getSelectedFiles = function(fileInput) {
     return fileInput.files;
 };
 
-// Upload file via JavaScript
-window.uploadSoundFile = async function(personId, file) {
+// Upload file via JavaScript; returns the uploaded clip's details or null on failure
+window.uploadSoundFile = async function(personId, file, description) {
     try {
         const formData = new FormData();
         formData.append('personId', personId);
         formData.append('file', file);
+        if (description) {
+            formData.append('description', description);
+        }
 
         const response = await fetch('/api/sound/upload', {
             method: 'POST',
@@ -410,14 +1146,15 @@ window.uploadSoundFile = async function(personId, file) {
         if (response.ok) {
             const result = await response.json();
             
-            // Pre-cache the uploaded sound
-            await cacheSound(result.url);
+            await cacheUploadedSound(result);
+            return result;
         } else {
             alert('Failed to upload file: ' + response.statusText);
         }
     } catch (error) {
         alert('Error uploading file: ' + error.message);
     }
+    return null;
 };
 
 // Upload sound from URL
@@ -437,14 +1174,15 @@ window.uploadSoundFromUrl = async function(personId, url) {
         if (response.ok) {
             const result = await response.json();
             
-            // Pre-cache the uploaded sound
-            await cacheSound(result.url);
+            await cacheUploadedSound(result);
+            return result;
         } else {
             alert('Failed to upload from URL: ' + response.statusText);
         }
     } catch (error) {
         alert('Error uploading from URL: ' + error.message);
     }
+    return null;
 };
 
 // Upload file for a specific person (by name)
@@ -469,8 +1207,7 @@ async function uploadFileForPerson(personName, file) {
         if (response.ok) {
             const result = await response.json();
             
-            // Pre-cache the uploaded sound
-            await cacheSound(result.url);
+            await cacheUploadedSound(result);
         } else {
             alert('Failed to upload file: ' + response.statusText);
         }
@@ -490,123 +1227,179 @@ async function getPersonIdByName(personName) {
     }
 }
 
-// Play sound with simple volume control and proper button state management
-window.playSound = async function(url) {
-    // Find the button that triggered this playback
+window.setSoundboardMediaInfo = function(info) {
+    soundboardMediaInfo = {
+        artist: info?.artist || '',
+        album: info?.album || '',
+        artwork: info?.artwork || null
+    };
+};
+
+// Show the newest clip on the lock screen; previous replays it and next picks one at random
+function showSoundInMediaSession(voice, url, clip, title) {
+    if (!window.setMediaSessionTrack) return;
+    
+    const replay = () => window.triggerSoundboardClip(url, clip);
+    const seek = details => window.seekMediaSessionAudio(voice.audio, details, MEDIA_SESSION_SEEK_SECONDS);
+    window.setMediaSessionTrack('soundboard', { ...soundboardMediaInfo, title: title || 'Soundboard clip' }, {
+        play: replay,
+        pause: () => window.triggerSoundboardStop(),
+        stop: () => window.triggerSoundboardStop(),
+        seekbackward: seek,
+        seekforward: seek,
+        seekto: seek,
+        previoustrack: replay,
+        nexttrack: () => window.playRandomSound()
+    });
+    window.setMediaSessionState('soundboard', 'playing', voice.audio);
+}
+
+// Play a clip through the mixer. Progress is reported through playback events rather than by
+// touching the button, so Blazor stays in charge of its markup.
+// clip optionally carries soundId/gain/trim for a sound with no button on this page (party mode, search)
+window.playSound = async function(url, clip) {
     const button = findPlayButtonForUrl(url);
-    const buttonId = button ? (button.dataset.soundId || url) : url;
-    const originalButtonContent = button ? button.innerHTML : null;
+    const source = button || clip;
+    const soundId = button ? button.dataset.soundId : clip?.soundId;
+    const buttonId = soundId || url;
     
-    // Stop any existing audio for this button first
+    // Pressing a playing clip again restarts it
     if (activeAudioElements.has(buttonId)) {
-        const existingAudio = activeAudioElements.get(buttonId);
-        existingAudio.pause();
-        existingAudio.currentTime = 0;
-        activeAudioElements.delete(buttonId);
-    }
-    
-    // Function to reset button state
-    const resetButton = () => {
-        if (button) {
-            // Use stored original content or fallback
-            const original = button.dataset.originalContent || originalButtonContent || '<div style="font-size: 1.5rem; margin-bottom: 0.25rem;">▶️</div>';
-            button.innerHTML = original;
-            button.disabled = false;
-            // Clean up stored data
-            delete button.dataset.originalContent;
-        }
-        // Remove from active tracking
-        activeAudioElements.delete(buttonId);
-    };
+        stopVoice(buttonId);
+    }
     
-    // Enhanced reset function that clears the fallback timer
-    const enhancedReset = () => {
-        clearTimeout(fallbackTimer);
-        resetButton();
-    };
+    const audio = new Audio();
+    audio.preload = 'auto';
+    audio.crossOrigin = 'anonymous';
     
-    // Fallback timer to ensure button resets (max 10 seconds)
-    const fallbackTimer = setTimeout(enhancedReset, 10000);
+    // Make room for this clip, then track it as a voice on the mixer
+    enforcePolyphonyLimit(1);
+    const voice = createVoice(audio, getClipGain(url, source));
+    voice.soundId = soundId || null;
+    voice.url = url;
+    voice.trim = getClipTrim(source);
+    activeAudioElements.set(buttonId, voice);
+    applyDucking();
+    emitPlayback(voice, 'loading');
     
     try {
-        // Update button state to loading
-        if (button) {
-            button.innerHTML = '⏸️ Loading...';
-            button.disabled = true;
-            // Store original content as a data attribute for more reliable recovery
-            if (!button.dataset.originalContent) {
-                button.dataset.originalContent = originalButtonContent;
-            }
+        // Browsers suspend the context until a user gesture
+        if (audioContext && audioContext.state === 'suspended') {
+            await audioContext.resume();
         }
         
         // Try to get cached blob first, then fallback to URL
         const audioSource = await getCachedBlobUrl(url) || url;
+        if (activeAudioElements.get(buttonId) !== voice) return null;
         
-        // Use HTML5 audio for best quality and compatibility
-        await playWithQualityPreservation(audioSource, enhancedReset, button, fallbackTimer, buttonId);
+        await playVoice(voice, buttonId, audioSource);
+        showSoundInMediaSession(voice, url, clip, button ? button.dataset.soundTitle : clip?.label);
+        
+        // Buffered and reported in batches by soundPlayStats.js
+        if (window.recordSoundPlay) {
+            window.recordSoundPlay(soundId);
+        }
+        return buttonId;
         
     } catch (error) {
-        // Reset button on error and clear fallback timer
-        enhancedReset();
+        audio.pause();
+        releaseVoice(buttonId, voice, error?.name === 'NotAllowedError'
+            ? 'The browser blocked playback - click the page and try again'
+            : (error?.message || 'The clip could not be played'));
+        return null;
     }
 };
 
-// Play with quality preservation and simple volume control
-async function playWithQualityPreservation(url, resetCallback, button, fallbackTimer, buttonId) {
-    const audio = new Audio();
+// Play a voice's audio element, keeping its original decoding quality, and report its progress
+async function playVoice(voice, buttonId, src) {
+    const audio = voice.audio;
+    const trim = voice.trim;
+    const isActive = () => activeAudioElements.get(buttonId) === voice;
     
-    // Track this audio element
-    activeAudioElements.set(buttonId, audio);
+    // Give up if the clip never starts playing
+    voice.watchdogTimer = setTimeout(() => {
+        if (isActive() && voice.state === 'loading') {
+            audio.pause();
+            releaseVoice(buttonId, voice, 'Timed out loading the clip');
+        }
+    }, PLAYBACK_LOAD_TIMEOUT_MS);
     
-    // Add event listeners for button state management
-    audio.addEventListener('canplay', () => {
-        // Only update if this audio is still the active one for this button
-        if (activeAudioElements.get(buttonId) === audio && button) {
-            button.innerHTML = '⏸️ Playing';
-            button.disabled = false;
+    audio.addEventListener('playing', () => {
+        if (isActive()) {
+            emitPlayback(voice, 'playing');
         }
     });
     
-    // Enhanced reset that checks if this audio is still active
-    const conditionalReset = () => {
-        if (activeAudioElements.get(buttonId) === audio) {
-            resetCallback();
+    let lastProgressAt = 0;
+    audio.addEventListener('timeupdate', () => {
+        if (!isActive()) return;
+        
+        // Backstop for the trim stop timer in case playback stalled along the way
+        if (trim && trim.end !== null && audio.currentTime >= trim.end && !audio.paused) {
+            audio.pause();
+            return;
         }
-    };
-    
-    audio.addEventListener('ended', conditionalReset);
-    audio.addEventListener('pause', conditionalReset);
-    audio.addEventListener('error', conditionalReset);
-    audio.addEventListener('abort', conditionalReset);
+        
+        const now = Date.now();
+        if (voice.state === 'playing' && now - lastProgressAt >= PLAYBACK_PROGRESS_INTERVAL_MS) {
+            lastProgressAt = now;
+            emitPlayback(voice, 'progress');
+        }
+    });
     
-    // Add a loadedmetadata listener to set up duration-based timeout
-    audio.addEventListener('loadedmetadata', () => {
-        if (audio.duration && audio.duration > 0) {
-            clearTimeout(fallbackTimer);
-            setTimeout(() => {
-                if (activeAudioElements.get(buttonId) === audio && !audio.ended && !audio.paused) {
-                    conditionalReset();
-                }
-            }, (audio.duration * 1000) + 1000);
+    // Ended naturally, hit the trim end, or was paused by the browser
+    const release = () => {
+        if (isActive()) {
+            releaseVoice(buttonId, voice);
+        }
+    };
+    audio.addEventListener('ended', release);
+    audio.addEventListener('pause', release);
+    audio.addEventListener('abort', release);
+    audio.addEventListener('error', () => {
+        if (isActive()) {
+            releaseVoice(buttonId, voice, describeMediaError(audio));
         }
     });
     
-    // Set volume with global multiplier - simple and preserves quality
-    audio.volume = Math.min(globalVolumeMultiplier, 1.0); // Apply user's volume setting
-    audio.preload = 'auto';
-    audio.crossOrigin = 'anonymous';
+    // Once the length is known, release the voice if playback stalls well past its end
+    audio.addEventListener('loadedmetadata', () => {
+        const timing = getVoiceTiming(voice);
+        if (timing.duration === null) return;
+        
+        clearTimeout(voice.watchdogTimer);
+        voice.watchdogTimer = setTimeout(() => {
+            if (isActive()) {
+                audio.pause();
+                releaseVoice(buttonId, voice);
+            }
+        }, (timing.duration * 1000) + PLAYBACK_LOAD_TIMEOUT_MS);
+    }, { once: true });
+    
+    if (trim) {
+        audio.addEventListener('playing', () => scheduleTrim(voice, trim), { once: true });
+        
+        // Silence the voice until the fade-in is scheduled
+        if (voice.fadeNode && trim.fadeIn > 0) {
+            voice.fadeNode.gain.value = 0;
+        }
+    }
     
-    audio.src = url;
+    audio.src = src;
     
-    // Try to play
-    const playPromise = audio.play();
-    if (playPromise !== undefined) {
-        await playPromise;
+    // Seek to the trim start before playback begins so the skipped part is never heard
+    if (trim && trim.start > 0) {
+        await new Promise(resolve => {
+            audio.addEventListener('loadedmetadata', resolve, { once: true });
+            audio.addEventListener('error', resolve, { once: true });
+        });
+        if (!isActive()) return;
+        audio.currentTime = trim.start;
     }
+    
+    await audio.play();
 }
 
-// Audio analysis removed - using simple HTML5 audio for best quality
-
 // Helper function to find the play button that corresponds to a sound URL
 function findPlayButtonForUrl(url) {
     const buttons = document.querySelectorAll('.play-sound-btn');
@@ -622,9 +1415,10 @@ function findPlayButtonForUrl(url) {
 // Cache a sound file as a blob for instant playback
 async function cacheSound(url) {
     try {
-        // Check if already cached
-        if (audioCache.has(url)) {
-            return audioCache.get(url);
+        // Reuse the cached copy only while it still matches the clip on the server
+        const cached = await getValidCacheEntry(url);
+        if (cached) {
+            return cached;
         }
 
         // Fetch the audio file
@@ -633,16 +1427,26 @@ async function cacheSound(url) {
             return null;
         }
 
+        const contentType = response.headers.get('content-type') || 'audio/mpeg';
         const arrayBuffer = await response.arrayBuffer();
-        const blob = new Blob([arrayBuffer], { type: response.headers.get('content-type') || 'audio/mpeg' });
+        const blob = new Blob([arrayBuffer], { type: contentType });
+        const hash = await hashAudioData(arrayBuffer);
 
         // Store both blob and buffer for different use cases
-        audioCache.set(url, { blob, arrayBuffer });
-        
+        const entry = { blob, arrayBuffer, hash, size: blob.size };
+
+        const metadata = clipMetadata.get(url);
+        if (metadata && metadata.hash && hash && hash !== metadata.hash) {
+            // Mangled download - play it this once but don't persist it
+            return entry;
+        }
+
+        audioCache.set(url, entry);
+
         // Cache in IndexedDB for persistence
-        await storeBlobInIndexedDB(url, blob, response.headers.get('content-type') || 'audio/mpeg');
-        
-        return { blob, arrayBuffer };
+        await storeBlobInIndexedDB(url, blob, contentType, hash);
+
+        return entry;
     } catch (error) {
         return null;
     }
@@ -651,47 +1455,171 @@ async function cacheSound(url) {
 // Get cached blob URL for instant playback
 async function getCachedBlobUrl(url) {
     try {
-        // Check memory cache first
-        const cached = audioCache.get(url);
-        if (cached && cached.blob) {
-            return URL.createObjectURL(cached.blob);
-        }
+        const cached = await getValidCacheEntry(url);
+        return cached ? URL.createObjectURL(cached.blob) : null;
+    } catch (error) {
+        return null;
+    }
+}
 
-        // Check IndexedDB cache
-        const cachedBlob = await getBlobFromIndexedDB(url);
-        if (cachedBlob) {
-            // Also store in memory cache for faster subsequent access
-            audioCache.set(url, { blob: cachedBlob });
-            return URL.createObjectURL(cachedBlob);
+// Look a clip up in memory, then IndexedDB. Entries that no longer match the server's
+// hash/size are dropped individually so the clip is downloaded again.
+async function getValidCacheEntry(url) {
+    let entry = audioCache.get(url);
+    if (!entry) {
+        const stored = await getCacheEntryFromIndexedDB(url);
+        if (stored) {
+            entry = { blob: stored.blob, hash: stored.hash || null, size: stored.size || (stored.blob ? stored.blob.size : 0) };
         }
+    }
+    if (!entry) return null;
 
+    if (!isCacheEntryCurrent(entry, clipMetadata.get(url))) {
+        audioCache.delete(url);
+        await deleteCacheEntry(url);
         return null;
+    }
+
+    // Also store in memory cache for faster subsequent access
+    audioCache.set(url, entry);
+    touchCacheEntry(url);
+    return entry;
+}
+
+// Entries from before hashes were stored are checked by size only
+function isCacheEntryCurrent(entry, metadata) {
+    if (!entry.blob || entry.blob.size === 0) return false;
+    if (!metadata) return true;
+    if (metadata.fileSize && entry.blob.size !== metadata.fileSize) return false;
+    if (metadata.hash && entry.hash && entry.hash !== metadata.hash) return false;
+    return true;
+}
+
+// Base64 SHA-256, the same format the server stores in SoundClipStorage.Hash
+async function hashAudioData(arrayBuffer) {
+    try {
+        const digest = window.crypto && window.crypto.subtle
+            ? new Uint8Array(await window.crypto.subtle.digest('SHA-256', arrayBuffer))
+            : sha256Fallback(arrayBuffer); // crypto.subtle only exists in secure contexts, not plain-HTTP installs
+        return btoa(String.fromCharCode(...digest));
     } catch (error) {
         return null;
     }
 }
 
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+function rotateRight32(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+}
+
+// Plain-JS SHA-256 (FIPS 180-4) returning the 32-byte digest
+function sha256Fallback(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    const bitLength = bytes.length * 8;
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const hash = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight32(w[i - 15], 7) ^ rotateRight32(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotateRight32(w[i - 2], 17) ^ rotateRight32(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotateRight32(e, 6) ^ rotateRight32(e, 11) ^ rotateRight32(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + SHA256_K[i] + w[i]) | 0;
+            const s0 = rotateRight32(a, 2) ^ rotateRight32(a, 13) ^ rotateRight32(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+        hash[5] += f;
+        hash[6] += g;
+        hash[7] += h;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+    return digest;
+}
+
 // IndexedDB setup and operations
 let dbName = 'SoundboardCache';
 let dbVersion = 3; // Upgraded for blob-only storage
 let db;
+let dbReady = null;
+
+// Cache budget: a share of the origin's storage quota, capped
+const MAX_CACHE_BYTES = 150 * 1024 * 1024;
+const CACHE_QUOTA_SHARE = 0.5;
+const CACHE_TOUCH_INTERVAL_MS = 60 * 1000; // Don't rewrite lastAccessed on every play
+let cacheTouchTimes = new Map();
+let cacheEvictionTimer = null;
 
 function initializeIndexedDB() {
     const request = indexedDB.open(dbName, dbVersion);
-    
-    request.onsuccess = function(event) {
-        db = event.target.result;
-        loadCachedBlobs();
-    };
-    
+
+    dbReady = new Promise(resolve => {
+        request.onsuccess = function(event) {
+            db = event.target.result;
+            loadCachedBlobs();
+            resolve();
+        };
+        request.onerror = function() {
+            resolve();
+        };
+    });
+
     request.onupgradeneeded = function(event) {
         db = event.target.result;
-        
+
         // Delete old stores if they exist
         if (db.objectStoreNames.contains('audioCache')) {
             db.deleteObjectStore('audioCache');
         }
-        
+
         // Create blob cache store
         if (!db.objectStoreNames.contains('blobCache')) {
             const blobStore = db.createObjectStore('blobCache', { keyPath: 'url' });
@@ -700,48 +1628,166 @@ function initializeIndexedDB() {
     };
 }
 
+// Run one transaction against the blob store; resolves with the request's result once committed
+function withCacheStore(mode, action) {
+    return new Promise((resolve, reject) => {
+        if (!db) {
+            resolve(null);
+            return;
+        }
+
+        const transaction = db.transaction(['blobCache'], mode);
+        const request = action(transaction.objectStore('blobCache'));
+        transaction.oncomplete = () => resolve(request ? request.result : null);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
 // Store blob in IndexedDB for persistence
-async function storeBlobInIndexedDB(url, blob, contentType) {
+async function storeBlobInIndexedDB(url, blob, contentType, hash) {
     if (!db) return;
 
+    const now = Date.now();
+    const cacheEntry = {
+        url: url,
+        blob: blob,
+        contentType: contentType,
+        hash: hash || null,
+        size: blob.size,
+        timestamp: now,
+        lastAccessed: now
+    };
+
     try {
-        const transaction = db.transaction(['blobCache'], 'readwrite');
-        const objectStore = transaction.objectStore('blobCache');
-        
-        const cacheEntry = {
-            url: url,
-            blob: blob,
-            contentType: contentType,
-            timestamp: Date.now()
-        };
-        
-        objectStore.put(cacheEntry);
+        await withCacheStore('readwrite', store => store.put(cacheEntry));
     } catch (error) {
+        if (!error || error.name !== 'QuotaExceededError') return;
+
+        // Make room by dropping the least recently played clips, then try once more
+        await evictCacheEntries(blob.size);
+        try {
+            await withCacheStore('readwrite', store => store.put(cacheEntry));
+        } catch (retryError) {
+            // Still no room - the clip stays in memory for this session
+        }
     }
 }
 
-// Get blob from IndexedDB
-async function getBlobFromIndexedDB(url) {
-    if (!db) return null;
+// Get a cache entry from IndexedDB
+async function getCacheEntryFromIndexedDB(url) {
+    try {
+        return await withCacheStore('readonly', store => store.get(url));
+    } catch (error) {
+        return null;
+    }
+}
 
+async function deleteCacheEntry(url) {
+    cacheTouchTimes.delete(url);
     try {
-        const transaction = db.transaction(['blobCache'], 'readonly');
-        const objectStore = transaction.objectStore('blobCache');
-        const request = objectStore.get(url);
-        
-        return new Promise((resolve, reject) => {
+        await withCacheStore('readwrite', store => store.delete(url));
+    } catch (error) {
+    }
+}
+
+// Record that a clip was used so LRU eviction keeps it
+async function touchCacheEntry(url) {
+    const now = Date.now();
+    if (now - (cacheTouchTimes.get(url) || 0) < CACHE_TOUCH_INTERVAL_MS) return;
+    cacheTouchTimes.set(url, now);
+
+    try {
+        await withCacheStore('readwrite', store => {
+            const request = store.get(url);
             request.onsuccess = function() {
-                resolve(request.result ? request.result.blob : null);
-            };
-            request.onerror = function() {
-                resolve(null);
+                if (request.result) {
+                    request.result.lastAccessed = now;
+                    store.put(request.result);
+                }
             };
+            return null;
         });
     } catch (error) {
+    }
+}
+
+// Size and last use of every stored clip, without reading the audio itself
+async function listCacheEntries() {
+    const entries = [];
+    await withCacheStore('readonly', store => {
+        const request = store.openCursor();
+        request.onsuccess = function() {
+            const cursor = request.result;
+            if (!cursor) return;
+            const entry = cursor.value;
+            entries.push({
+                url: entry.url,
+                size: entry.size || (entry.blob ? entry.blob.size : 0),
+                lastAccessed: entry.lastAccessed || entry.timestamp || 0
+            });
+            cursor.continue();
+        };
         return null;
+    });
+    return entries;
+}
+
+async function getCacheBudgetBytes() {
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            if (estimate.quota) {
+                return Math.min(MAX_CACHE_BYTES, Math.floor(estimate.quota * CACHE_QUOTA_SHARE));
+            }
+        }
+    } catch (error) {
+    }
+    return MAX_CACHE_BYTES;
+}
+
+// Drop least recently used clips until the cache fits its budget
+// (with bytesNeeded of headroom when a write has just failed for quota)
+async function evictCacheEntries(bytesNeeded = 0) {
+    if (!db) return 0;
+
+    try {
+        const budget = await getCacheBudgetBytes();
+        const entries = await listCacheEntries();
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const limit = bytesNeeded > 0
+            ? Math.min(budget, total) - bytesNeeded
+            : budget;
+        if (total <= limit) return 0;
+
+        entries.sort((a, b) => a.lastAccessed - b.lastAccessed);
+        const evicted = [];
+        for (const entry of entries) {
+            if (total <= limit) break;
+            evicted.push(entry.url);
+            total -= entry.size;
+        }
+
+        await withCacheStore('readwrite', store => {
+            evicted.forEach(url => store.delete(url));
+            return null;
+        });
+        evicted.forEach(url => {
+            audioCache.delete(url);
+            cacheTouchTimes.delete(url);
+        });
+        return evicted.length;
+    } catch (error) {
+        return 0;
     }
 }
 
+// Evict once a burst of downloads (e.g. a preload) has settled
+function scheduleCacheEviction() {
+    clearTimeout(cacheEvictionTimer);
+    cacheEvictionTimer = setTimeout(() => evictCacheEntries(), 3000);
+}
+
 // Load cached blobs from IndexedDB on startup
 async function loadCachedBlobs() {
     if (!db) return;
@@ -750,55 +1796,82 @@ async function loadCachedBlobs() {
         const transaction = db.transaction(['blobCache'], 'readonly');
         const objectStore = transaction.objectStore('blobCache');
         const request = objectStore.getAll();
-        
+
         request.onsuccess = function() {
             const cachedEntries = request.result;
-            let loadedCount = 0;
-            
+
             cachedEntries.forEach(entry => {
                 try {
-                    if (entry.blob && entry.url) {
+                    if (entry.blob && entry.url && !audioCache.has(entry.url)) {
                         // Store in memory cache for quick access
-                        audioCache.set(entry.url, { blob: entry.blob });
-                        loadedCount++;
+                        audioCache.set(entry.url, {
+                            blob: entry.blob,
+                            hash: entry.hash || null,
+                            size: entry.size || entry.blob.size
+                        });
                     }
                 } catch (error) {
                 }
             });
-            
-            if (loadedCount > 0) {
-            }
         };
     } catch (error) {
     }
 }
 
-// Clean up old cache entries (call periodically)
-async function cleanupCache() {
-    if (!db) return;
+// Cache size for the soundboard's storage panel
+window.getSoundboardCacheInfo = async function() {
+    let entries = [];
+    try {
+        entries = await listCacheEntries();
+    } catch (error) {
+    }
+
+    let usage = null;
+    let quota = null;
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            usage = estimate.usage ?? null;
+            quota = estimate.quota ?? null;
+        }
+    } catch (error) {
+    }
+
+    return {
+        entryCount: entries.length,
+        totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+        budgetBytes: await getCacheBudgetBytes(),
+        usage: usage,
+        quota: quota
+    };
+};
 
-    const maxAge = 7 * 24 * 60 * 60 * 1000; // 7 days
-    const cutoffTime = Date.now() - maxAge;
+// URLs of every clip stored in IndexedDB (used by the offline page)
+window.getCachedSoundUrls = async function() {
+    if (dbReady) {
+        await dbReady;
+    }
+    
+    try {
+        const entries = await listCacheEntries();
+        return entries.map(entry => entry.url);
+    } catch (error) {
+        return [];
+    }
+};
 
+// Drop every cached clip; they are downloaded again as they're played
+window.purgeSoundboardCache = async function() {
     try {
-        const transaction = db.transaction(['blobCache'], 'readwrite');
-        const objectStore = transaction.objectStore('blobCache');
-        const index = objectStore.index('timestamp');
-        const range = IDBKeyRange.upperBound(cutoffTime);
-        
-        const request = index.openCursor(range);
-        request.onsuccess = function() {
-            const cursor = request.result;
-            if (cursor) {
-                cursor.delete();
-                cursor.continue();
-            }
-        };
+        await withCacheStore('readwrite', store => store.clear());
     } catch (error) {
     }
-}
+    audioCache.clear();
+    cacheTouchTimes.clear();
+    return true;
+};
 
-// Initialize cleanup on page load
+// Trim the cache to its budget shortly after page load
 window.addEventListener('load', () => {
-    setTimeout(cleanupCache, 5000); // Clean up after 5 seconds
-});
\ No newline at end of file
+    setTimeout(() => evictCacheEntries(), 5000);
+});
@@ -0,0 +1,565 @@
+// Waveform editor - draws a clip's waveform on a canvas with draggable start/end markers
+// and fade handles. Used by the soundboard trim editor and the clip cutter. With the scrubbing
+// option (long recordings) the wheel zooms, dragging picks a new region and a click auditions from there.
+
+let waveformEditors = new Map(); // canvas -> editor state
+let waveformAudioContext = null;
+
+const MARKER_HIT_PIXELS = 8;
+const FADE_HANDLE_SIZE = 10;
+const MIN_SELECTION_SECONDS = 0.1;
+const MIN_VIEW_SECONDS = 1;
+const WHEEL_ZOOM_FACTOR = 1.25;
+const CLICK_MOVE_PIXELS = 4;
+
+function getWaveformAudioContext() {
+    if (!waveformAudioContext) {
+        waveformAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return waveformAudioContext;
+}
+
+// Decode a URL, Blob or ArrayBuffer into an AudioBuffer
+async function decodeWaveformSource(source) {
+    let arrayBuffer;
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error('Failed to load audio: ' + response.statusText);
+        }
+        arrayBuffer = await response.arrayBuffer();
+    } else if (source instanceof Blob) {
+        arrayBuffer = await source.arrayBuffer();
+    } else {
+        arrayBuffer = source.slice(0);
+    }
+
+    return await getWaveformAudioContext().decodeAudioData(arrayBuffer);
+}
+
+// Min/max peaks per horizontal pixel between two times, mixed down across channels
+function computeWaveformPeaks(audioBuffer, width, fromTime, toTime) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    const firstSample = Math.floor((fromTime || 0) * audioBuffer.sampleRate);
+    const lastSample = toTime ? Math.min(audioBuffer.length, Math.ceil(toTime * audioBuffer.sampleRate)) : audioBuffer.length;
+    const samplesPerPixel = (lastSample - firstSample) / width;
+    const peaks = [];
+    for (let x = 0; x < width; x++) {
+        const start = firstSample + Math.floor(x * samplesPerPixel);
+        const end = Math.min(Math.max(start + 1, firstSample + Math.floor((x + 1) * samplesPerPixel)), lastSample);
+        let min = 0;
+        let max = 0;
+        for (let i = start; i < end; i++) {
+            let sample = 0;
+            for (const data of channels) {
+                sample += data[i];
+            }
+            sample /= channels.length;
+            if (sample < min) min = sample;
+            if (sample > max) max = sample;
+        }
+        peaks.push({ min, max });
+    }
+    return peaks;
+}
+
+// Open an editor on a canvas; returns the decoded duration in seconds.
+// options.scrubbing turns on zoom, drag-to-select and click-to-audition for long sources.
+window.openWaveformEditor = async function(canvas, source, selection, options) {
+    window.closeWaveformEditor(canvas);
+
+    const audioBuffer = await decodeWaveformSource(source);
+    const duration = audioBuffer.duration;
+
+    // Match the canvas backing store to its displayed size for crisp drawing
+    const ratio = window.devicePixelRatio || 1;
+    const displayWidth = canvas.clientWidth || canvas.width;
+    const displayHeight = canvas.clientHeight || canvas.height;
+    canvas.width = Math.round(displayWidth * ratio);
+    canvas.height = Math.round(displayHeight * ratio);
+
+    const start = Math.max(0, Math.min(selection?.start || 0, duration));
+    const end = selection?.end ? Math.min(selection.end, duration) : duration;
+
+    const editor = {
+        canvas: canvas,
+        audioBuffer: audioBuffer,
+        duration: duration,
+        peaks: computeWaveformPeaks(audioBuffer, canvas.width),
+        scrubbing: !!options?.scrubbing,
+        auditionVolume: options?.volume,
+        viewStart: 0,
+        viewEnd: duration,
+        peaksFrame: null,
+        start: start,
+        end: end > start ? end : duration,
+        fadeIn: Math.max(0, selection?.fadeIn || 0),
+        fadeOut: Math.max(0, selection?.fadeOut || 0),
+        dragging: null,
+        dragAnchor: null,
+        previewSource: null,
+        previewStartedAt: 0,
+        previewFrom: 0,
+        previewFrame: null,
+        listeners: []
+    };
+    clampFades(editor);
+
+    const addListener = (target, type, handler) => {
+        target.addEventListener(type, handler);
+        editor.listeners.push({ target, type, handler });
+    };
+
+    addListener(canvas, 'pointerdown', e => handleWaveformPointerDown(editor, e));
+    addListener(canvas, 'pointermove', e => handleWaveformPointerMove(editor, e));
+    addListener(canvas, 'pointerup', e => handleWaveformPointerUp(editor, e));
+    addListener(canvas, 'pointercancel', e => handleWaveformPointerUp(editor, e));
+    if (editor.scrubbing) {
+        addListener(canvas, 'wheel', e => handleWaveformWheel(editor, e));
+    }
+    canvas.style.touchAction = 'none';
+
+    waveformEditors.set(canvas, editor);
+    drawWaveform(editor);
+
+    return duration;
+};
+
+// Current selection in seconds
+window.getWaveformSelection = function(canvas) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return null;
+
+    return {
+        start: editor.start,
+        end: editor.end,
+        fadeIn: editor.fadeIn,
+        fadeOut: editor.fadeOut,
+        duration: editor.duration
+    };
+};
+
+// Play the selected region with its fades applied
+window.previewWaveformSelection = async function(canvas, volume) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return;
+
+    window.stopWaveformPreview(canvas);
+
+    const context = getWaveformAudioContext();
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+
+    const gain = context.createGain();
+    const level = typeof volume === 'number' ? Math.max(0, Math.min(1, volume)) : 1;
+    const now = context.currentTime;
+    const length = editor.end - editor.start;
+    scheduleFadeEnvelope(gain.gain, now, length, editor.fadeIn, editor.fadeOut, level);
+
+    startWaveformPlayback(editor, gain, editor.start, length);
+};
+
+// Audition the source from a point, ignoring the selection (scrubbing a long recording)
+window.playWaveformFrom = async function(canvas, time, volume) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return;
+
+    window.stopWaveformPreview(canvas);
+
+    const context = getWaveformAudioContext();
+    if (context.state === 'suspended') {
+        await context.resume();
+    }
+
+    const gain = context.createGain();
+    gain.gain.value = typeof volume === 'number' ? Math.max(0, Math.min(1, volume)) : 1;
+    const from = Math.max(0, Math.min(time, editor.duration));
+    startWaveformPlayback(editor, gain, from, editor.duration - from);
+};
+
+function startWaveformPlayback(editor, gain, from, length) {
+    const context = getWaveformAudioContext();
+    const source = context.createBufferSource();
+    source.buffer = editor.audioBuffer;
+
+    source.connect(gain);
+    gain.connect(context.destination);
+    source.start(context.currentTime, from, length);
+    source.onended = () => {
+        if (editor.previewSource === source) {
+            window.stopWaveformPreview(editor.canvas);
+        }
+    };
+
+    editor.previewSource = source;
+    editor.previewStartedAt = context.currentTime;
+    editor.previewFrom = from;
+
+    const animate = () => {
+        if (editor.previewSource !== source) return;
+        drawWaveform(editor);
+        editor.previewFrame = requestAnimationFrame(animate);
+    };
+    animate();
+}
+
+// Linear fade-in/out on a gain param, shared by preview and rendering so both sound the same
+function scheduleFadeEnvelope(param, startTime, length, fadeIn, fadeOut, level) {
+    param.setValueAtTime(fadeIn > 0 ? 0 : level, startTime);
+    if (fadeIn > 0) {
+        param.linearRampToValueAtTime(level, startTime + fadeIn);
+    }
+    if (fadeOut > 0) {
+        param.setValueAtTime(level, startTime + length - fadeOut);
+        param.linearRampToValueAtTime(0, startTime + length);
+    }
+}
+
+// Show the whole source or zoom to the selection (with a little margin either side)
+window.zoomWaveform = function(canvas, target) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return;
+
+    if (target === 'selection') {
+        const margin = Math.max((editor.end - editor.start) * 0.25, MIN_VIEW_SECONDS / 2);
+        setWaveformView(editor, editor.start - margin, editor.end + margin);
+    } else {
+        setWaveformView(editor, 0, editor.duration);
+    }
+};
+
+// Render the selected region with its fades applied as a WAV blob
+window.renderWaveformSelection = async function(canvas) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return null;
+
+    return await renderAudioRegion(editor.audioBuffer, editor.start, editor.end, editor.fadeIn, editor.fadeOut);
+};
+
+// Render part of a decoded buffer with fades as a 16-bit PCM WAV blob. Surround sources are
+// mixed down to stereo by the audio graph so centre-channel dialogue isn't lost.
+async function renderAudioRegion(buffer, start, end, fadeIn, fadeOut) {
+    const length = end - start;
+    const frames = Math.max(1, Math.round(length * buffer.sampleRate));
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const offline = new OfflineAudioContext(channels, frames, buffer.sampleRate);
+
+    const source = offline.createBufferSource();
+    source.buffer = buffer;
+    const gain = offline.createGain();
+    scheduleFadeEnvelope(gain.gain, 0, length, fadeIn || 0, fadeOut || 0, 1);
+
+    source.connect(gain);
+    gain.connect(offline.destination);
+    source.start(0, start, length);
+
+    return encodeWav(await offline.startRendering());
+}
+
+function encodeWav(audioBuffer) {
+    const channels = audioBuffer.numberOfChannels;
+    const frames = audioBuffer.length;
+    const dataSize = frames * channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * channels * 2, true);
+    view.setUint16(32, channels * 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) {
+        data.push(audioBuffer.getChannelData(c));
+    }
+
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const sample = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += 2;
+        }
+    }
+
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+window.stopWaveformPreview = function(canvas) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor || !editor.previewSource) return;
+
+    const source = editor.previewSource;
+    editor.previewSource = null;
+    cancelAnimationFrame(editor.previewFrame);
+
+    try {
+        source.stop();
+        source.disconnect();
+    } catch (e) {
+        // Already stopped
+    }
+
+    drawWaveform(editor);
+};
+
+// Release listeners and the decoded audio
+window.closeWaveformEditor = function(canvas) {
+    const editor = waveformEditors.get(canvas);
+    if (!editor) return;
+
+    window.stopWaveformPreview(canvas);
+    cancelAnimationFrame(editor.peaksFrame);
+    editor.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    waveformEditors.delete(canvas);
+};
+
+function timeToX(editor, time) {
+    return ((time - editor.viewStart) / (editor.viewEnd - editor.viewStart)) * editor.canvas.width;
+}
+
+function xToTime(editor, x) {
+    const time = editor.viewStart + (x / editor.canvas.width) * (editor.viewEnd - editor.viewStart);
+    return Math.max(0, Math.min(editor.duration, time));
+}
+
+// Show a time range; peaks are recomputed once per frame since zooming a long source is expensive
+function setWaveformView(editor, from, to) {
+    const length = Math.min(editor.duration, Math.max(MIN_VIEW_SECONDS, to - from));
+    const start = Math.max(0, Math.min(from, editor.duration - length));
+    editor.viewStart = start;
+    editor.viewEnd = start + length;
+
+    cancelAnimationFrame(editor.peaksFrame);
+    editor.peaksFrame = requestAnimationFrame(() => {
+        editor.peaks = computeWaveformPeaks(editor.audioBuffer, editor.canvas.width, editor.viewStart, editor.viewEnd);
+        drawWaveform(editor);
+    });
+}
+
+// Wheel zooms around the pointer; horizontal scrolling (or Shift+wheel) pans
+function handleWaveformWheel(editor, e) {
+    e.preventDefault();
+
+    const length = editor.viewEnd - editor.viewStart;
+    const horizontal = e.shiftKey ? e.deltaY : e.deltaX;
+    if (Math.abs(horizontal) > Math.abs(e.deltaY) || e.shiftKey) {
+        const shift = (horizontal / editor.canvas.clientWidth) * length;
+        setWaveformView(editor, editor.viewStart + shift, editor.viewEnd + shift);
+        return;
+    }
+
+    const anchor = xToTime(editor, getCanvasPoint(editor, e).x);
+    const factor = e.deltaY < 0 ? 1 / WHEEL_ZOOM_FACTOR : WHEEL_ZOOM_FACTOR;
+    const newLength = length * factor;
+    const anchorRatio = (anchor - editor.viewStart) / length;
+    setWaveformView(editor, anchor - anchorRatio * newLength, anchor + (1 - anchorRatio) * newLength);
+}
+
+function getCanvasPoint(editor, e) {
+    const rect = editor.canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * (editor.canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (editor.canvas.height / rect.height)
+    };
+}
+
+// Work out which handle (if any) sits under the pointer
+function hitTestWaveform(editor, point) {
+    const ratio = window.devicePixelRatio || 1;
+    const handleSize = FADE_HANDLE_SIZE * ratio;
+    const markerHit = MARKER_HIT_PIXELS * ratio;
+
+    // Fade handles sit along the top edge, inside the selection
+    if (point.y <= handleSize * 1.5) {
+        if (Math.abs(point.x - timeToX(editor, editor.start + editor.fadeIn)) <= handleSize) return 'fadeIn';
+        if (Math.abs(point.x - timeToX(editor, editor.end - editor.fadeOut)) <= handleSize) return 'fadeOut';
+    }
+
+    if (Math.abs(point.x - timeToX(editor, editor.start)) <= markerHit) return 'start';
+    if (Math.abs(point.x - timeToX(editor, editor.end)) <= markerHit) return 'end';
+    return null;
+}
+
+function handleWaveformPointerDown(editor, e) {
+    const point = getCanvasPoint(editor, e);
+    let target = hitTestWaveform(editor, point);
+    if (!target && editor.scrubbing) {
+        // Empty space: a drag picks a new region, a click auditions from that point
+        target = 'region';
+        editor.dragAnchor = { x: point.x, time: xToTime(editor, point.x), start: editor.start, end: editor.end, moved: false };
+    }
+    if (!target) return;
+
+    editor.dragging = target;
+    editor.canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+}
+
+function handleWaveformPointerMove(editor, e) {
+    const point = getCanvasPoint(editor, e);
+
+    if (!editor.dragging) {
+        const hover = hitTestWaveform(editor, point);
+        editor.canvas.style.cursor = hover
+            ? (hover.startsWith('fade') ? 'grab' : 'ew-resize')
+            : (editor.scrubbing ? 'crosshair' : 'default');
+        return;
+    }
+
+    const time = xToTime(editor, point.x);
+    switch (editor.dragging) {
+        case 'start':
+            editor.start = Math.min(time, editor.end - MIN_SELECTION_SECONDS);
+            break;
+        case 'end':
+            editor.end = Math.max(time, editor.start + MIN_SELECTION_SECONDS);
+            break;
+        case 'fadeIn':
+            editor.fadeIn = Math.max(0, time - editor.start);
+            break;
+        case 'fadeOut':
+            editor.fadeOut = Math.max(0, editor.end - time);
+            break;
+        case 'region': {
+            const anchor = editor.dragAnchor;
+            if (!anchor.moved && Math.abs(point.x - anchor.x) < CLICK_MOVE_PIXELS * (window.devicePixelRatio || 1)) return;
+            anchor.moved = true;
+            editor.start = Math.max(0, Math.min(anchor.time, time, editor.duration - MIN_SELECTION_SECONDS));
+            editor.end = Math.max(editor.start + MIN_SELECTION_SECONDS, anchor.time, time);
+            break;
+        }
+    }
+
+    clampFades(editor);
+    drawWaveform(editor);
+}
+
+function handleWaveformPointerUp(editor, e) {
+    if (!editor.dragging) return;
+
+    const anchor = editor.dragging === 'region' ? editor.dragAnchor : null;
+    editor.dragging = null;
+    editor.dragAnchor = null;
+    if (editor.canvas.hasPointerCapture(e.pointerId)) {
+        editor.canvas.releasePointerCapture(e.pointerId);
+    }
+
+    if (anchor && !anchor.moved && e.type === 'pointerup') {
+        window.playWaveformFrom(editor.canvas, anchor.time, editor.auditionVolume);
+    }
+}
+
+// Fades can't overlap each other or extend outside the selection
+function clampFades(editor) {
+    const half = (editor.end - editor.start) / 2;
+    editor.fadeIn = Math.min(editor.fadeIn, half);
+    editor.fadeOut = Math.min(editor.fadeOut, half);
+}
+
+function drawWaveform(editor) {
+    const canvas = editor.canvas;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const middle = height / 2;
+    const styles = getComputedStyle(canvas);
+    const waveColor = styles.getPropertyValue('--accent-primary').trim() || '#0d6efd';
+    const ratio = window.devicePixelRatio || 1;
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Waveform
+    ctx.fillStyle = waveColor;
+    editor.peaks.forEach((peak, x) => {
+        const top = middle - peak.max * middle;
+        const bottom = middle - peak.min * middle;
+        ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+    });
+
+    // Shade what is trimmed away
+    const startX = timeToX(editor, editor.start);
+    const endX = timeToX(editor, editor.end);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    ctx.fillRect(0, 0, startX, height);
+    ctx.fillRect(endX, 0, width - endX, height);
+
+    // Fade envelopes
+    const fadeInX = timeToX(editor, editor.start + editor.fadeIn);
+    const fadeOutX = timeToX(editor, editor.end - editor.fadeOut);
+    ctx.strokeStyle = '#ffc107';
+    ctx.lineWidth = 2 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(startX, height);
+    ctx.lineTo(fadeInX, 0);
+    ctx.lineTo(fadeOutX, 0);
+    ctx.lineTo(endX, height);
+    ctx.stroke();
+
+    // Start/end markers
+    ctx.fillStyle = '#dc3545';
+    ctx.fillRect(startX - ratio, 0, 2 * ratio, height);
+    ctx.fillRect(endX - ratio, 0, 2 * ratio, height);
+
+    // Fade handles
+    const handleSize = FADE_HANDLE_SIZE * ratio;
+    ctx.fillStyle = '#ffc107';
+    ctx.fillRect(fadeInX - handleSize / 2, 0, handleSize, handleSize);
+    ctx.fillRect(fadeOutX - handleSize / 2, 0, handleSize, handleSize);
+
+    // Preview playhead
+    if (editor.previewSource) {
+        const elapsed = getWaveformAudioContext().currentTime - editor.previewStartedAt;
+        const playheadX = timeToX(editor, editor.previewFrom + elapsed);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(playheadX - ratio / 2, 0, ratio, height);
+    }
+
+    // Long sources get a time readout for the visible range and the selection
+    if (editor.scrubbing) {
+        ctx.font = `${11 * ratio}px sans-serif`;
+        ctx.fillStyle = styles.getPropertyValue('--text-secondary').trim() || '#adb5bd';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(formatWaveformTime(editor.viewStart), 4 * ratio, height - 2 * ratio);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatWaveformTime(editor.viewEnd), width - 4 * ratio, height - 2 * ratio);
+
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelX = Math.max(40 * ratio, Math.min(width - 40 * ratio, (startX + endX) / 2));
+        ctx.fillText(`${formatWaveformTime(editor.start)} – ${formatWaveformTime(editor.end)} (${(editor.end - editor.start).toFixed(1)}s)`, labelX, handleSize + 2 * ratio);
+    }
+}
+
+// m:ss.t, or h:mm:ss.t for sources over an hour
+function formatWaveformTime(seconds) {
+    const tenths = Math.floor(seconds * 10) % 10;
+    const whole = Math.floor(seconds);
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor((whole % 3600) / 60);
+    const secs = String(whole % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}.${tenths}`
+        : `${minutes}:${secs}.${tenths}`;
+}
@@ -0,0 +1,80 @@
+// Service worker - keeps the app shell and the offline soundboard page available without a network.
+// Audio clips themselves are cached by soundboard.js in IndexedDB.
+
+const SHELL_CACHE = 'movie-review-shell-v4';
+const OFFLINE_PAGE = '/offline.html';
+const SHELL_FILES = [
+    OFFLINE_PAGE,
+    '/manifest.json',
+    '/favicon.png',
+    '/bootstrap/bootstrap.min.css',
+    '/themes.css',
+    '/css/main.css',
+    '/js/theme.js',
+    '/js/mediaSession.js',
+    '/js/soundboard.js',
+    '/js/soundPlayStats.js',
+    '/js/offline.js',
+    '/js/offlineSoundboard.js'
+];
+// Other static files worth keeping for offline use. Everything else - session clips under /clips,
+// uploaded images - goes straight to the network so the cache doesn't fill with media.
+const RUNTIME_CACHE_PREFIXES = ['/css/', '/js/', '/bootstrap/', '/_framework/'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Blazor's circuit and the API always go straight to the network
+    if (url.pathname.startsWith('/_blazor') || url.pathname.startsWith('/api/')) return;
+
+    // Pages are rendered by the server; when it can't be reached, fall back to the offline soundboard
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match(OFFLINE_PAGE)));
+        return;
+    }
+
+    if (!isOfflineAsset(url.pathname)) return;
+
+    // Static files: network first so deploys show up straight away, cached copy when offline
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                // Partial (206) responses can't be cached, and a Range request only ever gets part of the file
+                if (response.status === 200 && !request.headers.has('Range')) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE)
+                        .then(cache => cache.put(request, copy))
+                        .catch(() => {
+                            // Storage full or the response can't be stored - the network copy still works
+                        });
+                }
+                return response;
+            })
+            .catch(() => caches.match(request).then(cached => cached || Response.error()))
+    );
+});
+
+function isOfflineAsset(pathname) {
+    return SHELL_FILES.includes(pathname) || RUNTIME_CACHE_PREFIXES.some(prefix => pathname.startsWith(prefix));
+}